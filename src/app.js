@@ -1,7 +1,12 @@
-import { Clock, pressToStart } from "./boilerplate.js";
+import { Clock, downloadBlob, pressToStart } from "./boilerplate.js";
 import { Audio } from './audio.js';
-import { NineOhGen, ThreeOhGen } from "./pattern.js";
+import { ChordGen, NineOhGen, ThreeOhGen } from "./pattern.js";
 import { UI, EmptyGridVisualizer } from "./ui.js";
+import { audioBufferToWav, encodeWav } from "./wav.js";
+import { KitStore, loadKitManifests } from "./kits.js";
+import { loadCorpus } from "./markov.js";
+import { PatternHistory } from "./history.js";
+import { choose, currentSeed, hashSeed, newSeed, randomStream, rndInt, seedSession, seededRandom } from "./math.js";
 import {
     genericParameter,
     parameter,trigger,
@@ -14,9 +19,10 @@ import {
  * 
  * @param { NumericParameter } param - The numeric parameter to control
  * @param { number } scaleFactor - Controls the magnitude of random movements (default: 1/400)
+ * @param { Function } random - Source of random numbers (default: the session's "wander" stream)
  * @returns An object with a step function to update the parameter value
  */
-function WanderingParameter(param, scaleFactor = 1/400) {
+function WanderingParameter(param, scaleFactor = 1/400, random = randomStream("wander")) {
     // Extract the minimum and maximum bounds of the parameter
     const [min,max] = param.bounds;
 
@@ -48,16 +54,16 @@ function WanderingParameter(param, scaleFactor = 1/400) {
                 // Apply momentum decay - stronger decay when countdown is active
                 diff *=  touchCountdown > 0 ? 0.8 : 0.98;
                 // Add random movement
-                diff += (Math.random() - 0.5) * scale;
+                diff += (random() - 0.5) * scale;
                 param.value += diff;
 
                 previousValue = param.value
 
                 // Bounce back when getting too close to the bounds
                 if (param.value > min + 0.8 * (max - min)) {
-                    diff -= Math.random() * scale;
+                    diff -= random() * scale;
                 } else if (param.value < min + 0.2 * (max - min)) {
-                    diff += Math.random() * scale;
+                    diff += random() * scale;
                 }
             }
         }
@@ -74,138 +80,525 @@ function WanderingParameter(param, scaleFactor = 1/400) {
  * @param {string} waveform - Type of oscillator waveform (e.g., sine, square, sawtooth)
  * @param {AudioNode} output - The destination audio node for output
  * @param {Object} gen - Pattern generator for creating note sequences
- * @param {number} [patternLength=16] - Length of the pattern sequence
+ * @param {number} [patternLength=16] - Initial length of the pattern sequence in steps
+ * @param {Object} [defaults] - Default values of synth parameters, by parameter key, in place of the 303's own
  * @returns {Object} ThreeOhMachine object with step sequencer and parameter controls
  */
-function ThreeOhUnit(audio, waveform, output, gen, patternLength = 16) {
+function ThreeOhUnit(audio, waveform, output, gen, patternLength = 16, defaults = {}) {
     // Initialize the synthesizer with specified waveform and output
     const synth = audio.ThreeOh(waveform, output);
     
     // Create a parameter for storing the current pattern
     const pattern = genericParameter("Pattern", []);
+
+    // Steps in the pattern, a new length is picked up with the next new pattern
+    const length = genericParameter("Pattern Length", patternLength);
+    // The length follows the pattern, so a pattern recalled from the history keeps playing
+    pattern.subscribe(p => {
+        if (p.length > 0) length.value = p.length;
+    });
     
     // Trigger for generating new patterns
     const newPattern = trigger("New Pattern Trigger", true);
 
+    // Trigger for mutating a number of steps of the current pattern instead
+    const mutatePattern = trigger("Mutate Pattern Trigger");
+    const mutations = genericParameter("Mutations", 2);
+
+    // Whether the pattern is locked, a new note set then leaves it alone
+    const locked = genericParameter("Lock", false);
+
     // Subscribe to the note generator's newNotes signal
     gen.newNotes.subscribe(newNotes => {
-        if (newNotes === true) newPattern.value = true;
+        if (newNotes === true && !locked.value) newPattern.value = true;
     });
 
+    // Whether the previous step left the gate open for a slide or a tie
+    let gateOpen = false;
+
     /**
      * Process a single step in the pattern sequence
-     * @param {number} index - Current step index in the pattern
+     * A note plays for its gate length, a fraction of the step. A slide holds the gate
+     * into the next note, which glides in without retriggering the envelope, and a tie
+     * carries the held note through its step.
+     * @param {number} stepCount - Steps since the start, the pattern loops over it at its own length
+     * @param {number} time - Audio context time at which the step starts
+     * @param {number} [duration=0.125] - Length of the step in seconds
      */
-    function step(index) {
-        // Generate new pattern if we're at the start and newPattern is triggered
-        // or if the current pattern is empty
-        if ((index === 0 && newPattern.value === true) || pattern.value.length === 0) {
-            pattern.value = gen.createPattern();
+    function step(stepCount, time, duration = 0.125) {
+        // Generate new pattern at the pattern's start if newPattern is triggered or the
+        // length has changed, or if the current pattern is empty
+        const atStart = pattern.value.length > 0 && stepCount % pattern.value.length === 0;
+        if ((atStart && (newPattern.value === true || pattern.value.length !== length.value)) || pattern.value.length === 0) {
+            pattern.value = gen.createPattern(length.value);
             newPattern.value = false;
+            mutatePattern.value = false;
+        } else if (atStart && mutatePattern.value === true) {
+            pattern.value = gen.mutatePattern(pattern.value, mutations.value);
+            mutatePattern.value = false;
         }
 
         // Get the current slot from the pattern and handle note triggering
-        const slot = pattern.value[index % patternLength];
-        if (slot.note !== "-") {
-            // Play note if it's not a rest ("-")
-            synth.noteOn(slot.note, slot.accent, slot.glide);
+        const index = stepCount % pattern.value.length;
+        const slot = pattern.value[index];
+        const next = pattern.value[(index + 1) % pattern.value.length];
+        const sliding = gateOpen;
+
+        if (slot.tie) {
+            // Ties only extend a note that is still sounding
+            if (!sliding) return;
+        } else if (slot.note !== "-") {
+            // Play note if it's not a rest ("-"), sliding into it from a held note
+            synth.noteOn(slot.note, slot.accent, sliding, time);
         } else {
             // Stop note for rests
-            synth.noteOff();
+            gateOpen = false;
+            synth.noteOff(time);
+            return;
         }
+
+        // Hold the gate into the next step for slides and ties, release it otherwise
+        gateOpen = slot.glide || Boolean(next && next.tie);
+        if (!gateOpen) {
+            synth.noteOff(time + slot.gate * duration);
+        }
+    }
+
+    /**
+     * Starts over: the next step generates a new pattern
+     */
+    function reset() {
+        pattern.value = [];
+        newPattern.value = false;
+        mutatePattern.value = false;
+        gateOpen = false;
     }
 
+    // Default values of the synth parameters, the 303's own unless given
+    const initial = { cutoff: 400, resonance: 15, envMod: 4000, decay: 0.5, drive: 4, driveTone: 3000, driveMix: 0.3, ...defaults };
+
     // Define synth parameters with their ranges and default values
     const parameters = {
-        cutoff: parameter("Cutoff", [30, 700], 400),        // Filter cutoff frequency
-        resonance: parameter("Resonance", [1, 30], 15),     // Filter resonance
-        envMod: parameter("Env Mod", [0, 8000], 4000),      // Envelope modulation amount
-        decay: parameter("Decay", [0.1, 0.9], 0.5)          // Note decay time
+        cutoff: parameter("Cutoff", [30, 700], initial.cutoff),             // Filter cutoff frequency
+        resonance: parameter("Resonance", [1, 30], initial.resonance),      // Filter resonance
+        envMod: parameter("Env Mod", [0, 8000], initial.envMod),            // Envelope modulation amount
+        decay: parameter("Decay", [0.1, 0.9], initial.decay),               // Note decay time
+        drive: parameter("Drive", [1, 20], initial.drive),                  // Gain into the distortion
+        driveTone: parameter("Drive Tone", [500, 8000], initial.driveTone), // Lowpass after the distortion
+        driveMix: parameter("Drive Mix", [0, 1], initial.driveMix)          // Distorted vs clean signal
     };
 
+    // Distortion curve: "soft", "hard", "tube" or "fold"
+    const driveCurve = genericParameter("Drive Curve", "soft");
+
     // Connect parameter changes to synth controls
     parameters.cutoff.subscribe(v => synth.params.cutoff.value = v);
     parameters.resonance.subscribe(v => synth.params.resonance.value = v);
     parameters.envMod.subscribe(v => synth.params.envMod.value = v);
     parameters.decay.subscribe(v => synth.params.decay.value = v);
+    parameters.drive.subscribe(v => synth.params.drive.value = v);
+    parameters.driveTone.subscribe(v => synth.params.driveTone.value = v);
+    parameters.driveMix.subscribe(v => synth.params.driveMix.value = v);
+    driveCurve.subscribe(synth.setDriveCurve);
 
     // Return the machine interface
     return {
         step,           // Step sequencer function
         pattern,        // Current pattern
+        length,         // Pattern length in steps
         parameters,     // Synth parameters
-        newPattern     // New pattern trigger
+        driveCurve,     // Distortion curve
+        newPattern,     // New pattern trigger
+        mutatePattern,  // Pattern mutation trigger
+        mutations,      // Steps changed by each mutation
+        locked,         // Pattern lock, shared with the unit's history
+        reset,          // Start over with a new pattern
+        dispose: synth.dispose  // Stop the synth once the unit is removed
+    };
+}
+
+/**
+ * Creates a chord unit playing a progression that follows the bassline's note set
+ * Chords change on bar boundaries every few bars. As a pad each chord is held until
+ * the next one, as stabs it is played short on the off-beats.
+ * @param {Object} audio - Audio context and utilities
+ * @param {AudioNode} output - The destination audio node for output
+ * @param {Object} gen - Chord progression generator
+ * @returns {Object} Chord unit with step sequencer and parameter controls
+ */
+function PadUnit(audio, output, gen) {
+    const synth = audio.SimpleToneSynth(0.5, 1, 1.5, output);
+
+    // The pattern is the current progression, chords as arrays of MIDI note numbers
+    const pattern = genericParameter("Progression", []);
+
+    // A new progression starts once the current one has played through
+    const newPattern = trigger("New Progression Trigger", true);
+
+    // Alternatively a few chords of the progression change once it has played through
+    const mutatePattern = trigger("Mutate Progression Trigger");
+    const mutations = genericParameter("Chord Mutations", 1);
+
+    // Whether the progression is locked, a new note set then leaves it alone
+    const locked = genericParameter("Lock", false);
+    gen.newNotes.subscribe(newNotes => {
+        if (newNotes === true && !locked.value) newPattern.value = true;
+    });
+
+    // "pad" holds each chord, "stab" plays it on the off-beats
+    const mode = genericParameter("Pad Mode", "pad");
+
+    // Bars each chord lasts
+    const chordLength = genericParameter("Chord Length", 2);
+
+    const parameters = {
+        attack: parameter("Attack", [0.005, 2], 0.5),         // Fade in time
+        release: parameter("Release", [0.05, 4], 1.5),        // Fade out time
+        brightness: parameter("Brightness", [1, 8], 3),       // Filter cutoff relative to pitch
+        level: parameter("Level", [0, 1], 0.5)                // Voice level
+    };
+
+    parameters.attack.subscribe(v => synth.params.attack.value = v);
+    parameters.release.subscribe(v => synth.params.release.value = v);
+    parameters.brightness.subscribe(v => synth.params.brightness.value = v);
+    parameters.level.subscribe(v => synth.params.level.value = 0.08 * v);
+
+    let chordIndex = -1;
+
+    /**
+     * Process a single step, changing chords at the start of every chordLength bars
+     * @param {number} stepCount - Steps since the start, 16 to the bar
+     * @param {number} time - Audio context time at which the step starts
+     * @param {number} [duration=0.125] - Length of the step in seconds
+     */
+    function step(stepCount, time, duration = 0.125) {
+        const index = stepCount % 16;
+        if (index === 0) {
+            const bar = stepCount / 16;
+            if (bar % chordLength.value === 0) {
+                const last = chordIndex >= pattern.value.length - 1;
+                if ((last && newPattern.value === true) || pattern.value.length === 0) {
+                    pattern.value = gen.createProgression();
+                    newPattern.value = false;
+                    mutatePattern.value = false;
+                } else if (last && mutatePattern.value === true) {
+                    pattern.value = gen.mutateProgression(pattern.value, mutations.value);
+                    mutatePattern.value = false;
+                }
+                chordIndex = last ? 0 : chordIndex + 1;
+
+                if (mode.value === "pad") {
+                    // Hold the chord until the next one starts, its release overlapping the change
+                    const length = Math.max(0, chordLength.value * 16 * duration - synth.params.attack.value);
+                    pattern.value[chordIndex].forEach(note => synth.play(note, time, length));
+                }
+            }
+        }
+
+        if (mode.value === "stab" && index % 4 === 2 && chordIndex >= 0) {
+            pattern.value[chordIndex].forEach(note => synth.play(note, time, duration / 2));
+        }
+    }
+
+    /**
+     * Starts over: the next bar generates a new progression and plays its first chord
+     */
+    function reset() {
+        pattern.value = [];
+        newPattern.value = false;
+        mutatePattern.value = false;
+        chordIndex = -1;
+    }
+
+    return {
+        step,
+        pattern,
+        mode,
+        chordLength,
+        parameters,
+        newPattern,
+        mutatePattern,
+        mutations,
+        locked,
+        reset
+    };
+}
+
+/**
+ * Creates a drum kit unit managing the available kits and the drum machine of the selected one
+ * Built-in kits come from the JSON manifests in kits/, the synthesized kit is always there,
+ * and custom kits made by dropping audio files onto slots are persisted in IndexedDB.
+ * Kits load in the background, a switch only takes effect once the new kit is ready
+ * @param {Object} audio - Audio context and utilities for sample playback
+ * @param {AudioNode[]} outputs - Destination of each drum voice
+ * @returns {Promise<Object>} Promise resolving to the kit list, selection and current machine
+ */
+async function DrumKitUnit(audio, outputs) {
+    // Synthesized kit, always available and the fallback when samples fail to load
+    const synthDrums = audio.SynthDrumMachine(outputs);
+    const synthKit = { id: "synth", name: "909 Synth", synth: true };
+
+    const store = KitStore();
+    const builtIn = await loadKitManifests().catch(e => {
+        console.warn('Drum kit manifests failed to load', e);
+        return [];
+    });
+    const custom = await store.list().catch(e => {
+        console.warn('Custom drum kits are unavailable', e);
+        return [];
+    });
+
+    // Available kits and the id of the selected one
+    const kits = genericParameter("Drum Kits", [...builtIn, synthKit, ...custom]);
+    const kit = genericParameter("Drum Kit", builtIn.length > 0 ? builtIn[0].id : synthKit.id);
+
+    // Loaded drum machines by kit id
+    const machines = new Map();
+    let current = synthDrums;
+    let loading = Promise.resolve(synthDrums);
+
+    function find(id) {
+        return kits.value.find(k => k.id === id);
+    }
+
+    async function createMachine(descriptor) {
+        if (descriptor.synth) return synthDrums;
+        // Custom slots carry raw audio data, decoding detaches it so decode a copy
+        const slots = await Promise.all(descriptor.slots.map(async slot => slot.data ?
+            { gain: slot.gain, decay: slot.decay, buffer: await audio.decodeAudioDataCompatible(slot.data.slice(0)) } :
+            slot
+        ));
+        return audio.SamplerDrumMachine(slots, outputs);
+    }
+
+    // Load the machine of every newly selected kit
+    kit.subscribe(id => {
+        const descriptor = find(id);
+        if (!descriptor) return;
+        if (!machines.has(id)) {
+            machines.set(id, createMachine(descriptor));
+        }
+        loading = machines.get(id).then(machine => {
+            if (kit.value === id) current = machine;
+            return machine;
+        }, e => {
+            console.warn(`Drum kit ${descriptor.name} failed to load, using the synthesized kit`, e);
+            machines.delete(id);
+            if (kit.value === id) kit.value = synthKit.id;
+            return synthDrums;
+        });
+    });
+    await loading;
+
+    /**
+     * Replaces the sample in one slot with a user supplied audio file
+     * Edits the selected kit if it is a custom one, otherwise creates a new custom kit from it
+     * @param {number} slotIndex - Slot to replace: 0 bass drum, 1 open hat, 2 closed hat, 3 snare
+     * @param {File} file - Audio file dropped by the user
+     * @returns {Promise<Object>} Promise resolving once the edited kit is playing
+     */
+    async function replaceSample(slotIndex, file) {
+        const data = await file.arrayBuffer();
+        // Reject files the browser cannot decode before keeping them
+        await audio.decodeAudioDataCompatible(data.slice(0));
+
+        const selected = find(kit.value);
+        const base = selected.slots ? selected : builtIn[0];
+        if (!base) {
+            throw new Error('No sample kit to base a custom kit on');
+        }
+        const edited = selected.custom ?
+            { ...selected, slots: selected.slots.slice() } :
+            {
+                id: `custom-${Date.now()}`,
+                name: `Custom ${kits.value.filter(k => k.custom).length + 1}`,
+                custom: true,
+                slots: base.slots.slice()
+            };
+        const { gain, decay } = edited.slots[slotIndex];
+        edited.slots[slotIndex] = { name: file.name, data, gain, decay };
+
+        await store.save(edited).catch(e => console.warn('Custom drum kit could not be saved', e));
+        machines.delete(edited.id);
+        kits.value = [...kits.value.filter(k => k.id !== edited.id), edited];
+        kit.value = edited.id;
+        return loading;
+    }
+
+    return {
+        kits,
+        kit,
+        replaceSample,
+        synthDrums,
+        machine: () => current,
+        ready: () => loading
     };
 }
 
 /**
  * Creates a TR-909 style drum machine with pattern sequencing and individual drum muting
+ * Plays the selected drum kit, switching kits on bar boundaries so the pattern keeps going.
+ * Every drum plays into its own mixer channel, whose mute is the drum's mute
  * @param {Object} audio - Audio context and utilities for sample playback
+ * @param {Object[]} channels - Mixer channels for bass drum, open hat, closed hat and snare
+ * @param {Object} [sidechain] - Sidechain unit ducked by every audible bass drum hit
+ * @param {Function} [random] - Source of random numbers for patterns, fills and step conditions
  * @returns {Promise<Object>} Promise resolving to NineOhMachine object with sequencer controls
  */
-async function NineOhUnit(audio) {
-    // Initialize drum sampler with TR-909 drum samples
-    const drums = await audio.SamplerDrumMachine([
-        "909BD.mp3",  // Bass Drum
-        "909OH.mp3",  // Open Hi-hat
-        "909CH.mp3",  // Closed Hi-hat
-        "909SD.mp3"   // Snare Drum
-    ]);
+async function NineOhUnit(audio, channels, sidechain = null, random = randomStream("drums")) {
+    // Kits and the drum machine currently playing
+    const kits = await DrumKitUnit(audio, channels.map(c => c.input));
+    const synthDrums = kits.synthDrums;
+    let drums = kits.machine();
+
+    // Expose the synthesized voices' tuning as parameters
+    const drumNames = ["BD", "OH", "CH", "SD"];
+    const synthBounds = {
+        tune: [0.5, 2],
+        decay: [0, 1],
+        tone: [0, 1],
+        snappy: [0, 1]
+    };
+    const synthParameters = synthDrums.params.map((voice, i) => {
+        const voiceParameters = {};
+        Object.keys(voice).forEach(k => {
+            const name = `${drumNames[i]} ${k[0].toUpperCase()}${k.slice(1)}`;
+            voiceParameters[k] = parameter(name, synthBounds[k], voice[k].value);
+            voiceParameters[k].subscribe(v => voice[k].value = v);
+        });
+        return voiceParameters;
+    });
 
     // Create parameters for pattern storage and drum muting
     const pattern = genericParameter("Drum Pattern", []);
+
+    // Steps in the pattern, a new length is picked up with the next new pattern
+    const length = genericParameter("Drum Pattern Length", 16);
+    // The length follows the pattern, so a pattern recalled from the history keeps playing
+    pattern.subscribe(p => {
+        if (p.length > 0) length.value = p[0].length;
+    });
     
-    // Create mute controls for each drum sound
-    const mutes = [
-        genericParameter("Mute BD", false),  // Bass Drum mute
-        genericParameter("Mute OH", false),  // Open Hi-hat mute
-        genericParameter("Mute CH", false),  // Closed Hi-hat mute
-        genericParameter("Mute SD", false)   // Snare Drum mute
-    ];
+    // Mute controls for each drum sound, owned by the mixer
+    const mutes = channels.map(c => c.mute);
 
     // Trigger for generating new patterns
     const newPattern = trigger("New Pattern Trigger", true);
+
+    // Trigger for mutating a number of steps of the current pattern instead
+    const mutatePattern = trigger("Mutate Pattern Trigger");
+    const mutations = genericParameter("Drum Mutations", 2);
+
+    // Fills play in the last bar before every fillEvery bars, the phrases AutoPilot changes
+    // patterns on, or in the next bar when triggered. 0 bars turns the automatic fills off.
+    const fill = trigger("Fill Trigger");
+    const fillEvery = genericParameter("Fill Every", 16);
+    const fillDensity = parameter("Fill Density", [0, 1], 0.5);
+    // Kind of fill, "roll", "run", "mixed" or "any"
+    const fillKind = genericParameter("Fill Kind", "any");
+    let currentFill = null;
+
+    // Step at which the current pattern was generated, its loops are counted from there for step conditions
+    let patternStart = 0;
     
     // Initialize the pattern generator
-    const gen = NineOhGen();
+    const gen = NineOhGen(random);
 
     /**
      * Process a single step in the drum sequence
-     * @param {number} index - Current step index in the pattern
+     * @param {number} stepCount - Steps since the start, the pattern loops over it at its own length
+     * @param {number} time - Audio context time at which the step starts
+     * @param {number} duration - Length of the step in seconds, for ratchets and micro-timing
      */
-    function step(index) {
-        // Generate new pattern if at start and triggered, or if pattern is empty
-        if ((index === 0 && newPattern.value === true) || pattern.value.length === 0) {
-            pattern.value = gen.createPatterns(true);
+    function step(stepCount, time, duration) {
+        // Generate new pattern at the pattern's start if triggered or the length has changed,
+        // or if pattern is empty
+        const current = pattern.value.length > 0 ? pattern.value[0].length : 0;
+        const atStart = current > 0 && stepCount % current === 0;
+        if ((atStart && (newPattern.value === true || current !== length.value)) || current === 0) {
+            pattern.value = gen.createPatterns(true, length.value);
+            patternStart = stepCount;
             newPattern.value = false;
+            mutatePattern.value = false;
+        } else if (atStart && mutatePattern.value === true) {
+            pattern.value = gen.mutatePatterns(pattern.value, mutations.value);
+            mutatePattern.value = false;
         }
 
-        // Process each drum track in the pattern
+        // Swap in a newly selected kit and decide on a fill on bar boundaries only
+        if (stepCount % 16 === 0) {
+            drums = kits.machine();
+            const bar = stepCount / 16;
+            const phraseEnd = fillEvery.value > 0 && (bar + 1) % fillEvery.value === 0;
+            currentFill = fill.value || phraseEnd ? gen.createFill(fillDensity.value, fillKind.value) : null;
+            fill.value = false;
+        }
+        const filling = currentFill !== null && stepCount % 16 >= currentFill.start;
+
+        // Process each drum track in the pattern, or in the fill while it plays
         for (let i in pattern.value) {
-            // Get current step for this drum, using modulo for pattern length
-            const entry = pattern.value[i][index % pattern.value[i].length];
-            // If there's a trigger and drum isn't muted, play the sample
-            if (entry && !mutes[i].value) {
-                drums.triggers[i].play(entry);
-            }
+            // Get current step for this drum, using modulo for pattern length, and see whether its condition holds
+            const track = filling ? currentFill.patterns[i] : pattern.value[i];
+            const loop = Math.floor((stepCount - patternStart) / track.length);
+            const hits = gen.playStep(track[stepCount % track.length], loop, filling);
+            // Play every hit of the step at its exact time, the mixer silences muted drums
+            hits.forEach(hit => {
+                const hitTime = Math.max(0, time + hit.offset * duration);
+                drums.triggers[i].play(hit.velocity, hitTime, hit.length * duration);
+                // Bass drum hits duck the sidechained bus, scaled by their velocity
+                if (Number(i) === 0 && sidechain && channels[0].audible.value) {
+                    sidechain.trigger(hit.velocity, hitTime);
+                }
+            });
         }
     }
 
+    /**
+     * Starts over: the next step generates a new pattern
+     */
+    function reset() {
+        pattern.value = [];
+        newPattern.value = false;
+        mutatePattern.value = false;
+        fill.value = false;
+        currentFill = null;
+        patternStart = 0;
+    }
+
     // Return the drum machine interface
     return {
         step,           // Step sequencer function
         pattern,        // Current pattern
+        length,         // Pattern length in steps
         mutes,         // Mute controls for each drum
-        newPattern     // New pattern trigger
+        newPattern,     // New pattern trigger
+        mutatePattern,  // Pattern mutation trigger
+        mutations,      // Steps changed by each mutation
+        genre: gen.genre,   // Genre of new patterns
+        mode: gen.mode,     // Genre styles or Euclidean rhythms
+        euclidean: gen.euclidean,   // Hits, steps and rotation of each voice's Euclidean rhythm
+        generation: gen.parameters, // Knobs shaping new patterns
+        variation: gen.variation,   // Shares of hits with conditions, ratchets and nudges
+        fill,           // Fill trigger, plays a fill in the next bar
+        fillEvery,      // Bars between automatic fills
+        fillDensity,    // How busy fills are
+        fillKind,       // Kind of fills
+        reset,          // Start over with a new pattern
+        kits: kits.kits,        // Available drum kits
+        kit: kits.kit,          // Selected drum kit id
+        kitReady: kits.ready,   // Promise of the selected kit being loaded
+        replaceSample: kits.replaceSample,  // Load a user file into a kit slot
+        synthParameters // Tuning of each synthesized voice
     };
 }
 
 /**
  * Creates a delay audio effect unit with controllable parameters
  * @param {Object} audio - The audio context object
+ * @param {AudioNode} [destination] - Where the delay outputs, defaults to the master channel
  * @returns {Object} An object containing delay parameters and input node
  */
-function DelayUnit(audio) {
+function DelayUnit(audio, destination = audio.master.in) {
     // Create a dry/wet mix parameter with range [0, 0.5] and default 0.5
     const dryWet = parameter("Dry/Wet", [0, 0.5], 0.5);
     
@@ -216,146 +609,737 @@ function DelayUnit(audio) {
     const delayTime = parameter("Time", [0, 2], 0.3);
     
     // Initialize delay insert with current parameter values
-    const delay = audio.DelayInsert(delayTime.value, dryWet.value, feedback.value);
+    const delay = audio.DelayInsert(delayTime.value, dryWet.value, feedback.value, destination);
     
     // Subscribe to parameter changes and update delay accordingly
     dryWet.subscribe(w => delay.wet.value = w);
     feedback.subscribe(f => delay.feedback.value = f);
     delayTime.subscribe(t => delay.delayTime.value = t);
 
-    // Return interface object with parameters and input node
+    // Return interface object with parameters and input nodes
     return {
         dryWet,
         feedback,
         delayTime,
-        inputNode: delay.in
+        inputNode: delay.in,
+        sendNode: delay.send
+    };
+}
+
+/**
+ * Creates a reverb unit: a send bus convolving with procedurally generated impulse responses
+ * @param {Object} audio - The audio context object
+ * @returns {Object} An object containing reverb parameters and send node
+ */
+function ReverbUnit(audio) {
+    // Modeled space: "room", "plate" or "hall"
+    const type = genericParameter("Reverb Type", "plate");
+
+    const size = parameter("Size", [0, 1], 0.5);
+    const preDelay = parameter("Pre-Delay", [0, 0.2], 0.02);
+    const damping = parameter("Damping", [500, 12000], 6000);
+    const wet = parameter("Reverb Wet", [0, 1], 0.5);
+
+    const reverb = audio.ReverbSend();
+
+    // Regenerate the impulse response only when the space changes noticeably
+    let impulse = "";
+    function updateImpulse() {
+        const quantizedSize = Math.round(size.value * 20) / 20;
+        if (impulse !== `${type.value} ${quantizedSize}`) {
+            impulse = `${type.value} ${quantizedSize}`;
+            reverb.setImpulse(type.value, quantizedSize);
+        }
+    }
+    type.subscribe(updateImpulse);
+    size.subscribe(updateImpulse);
+
+    preDelay.subscribe(t => reverb.preDelay.value = t);
+    damping.subscribe(f => reverb.damping.value = f);
+    wet.subscribe(w => reverb.wet.value = w);
+
+    return {
+        type,
+        size,
+        preDelay,
+        damping,
+        wet,
+        sendNode: reverb.send
+    };
+}
+
+/**
+ * Creates a sidechain unit: a bus that ducks every time the bass drum hits, for the classic pump
+ * Ducks are scheduled at the exact audio time of each kick, so they follow the kick pattern
+ * through tempo changes and pauses just like the drums themselves
+ * @param {Object} audio - The audio context object
+ * @returns {Object} An object containing ducking parameters, the bus input and the trigger
+ */
+function SidechainUnit(audio) {
+    const depth = parameter("Duck Depth", [0, 1], 0.5);
+    const attack = parameter("Duck Attack", [0.001, 0.05], 0.005);
+    const release = parameter("Duck Release", [0.02, 0.5], 0.15);
+
+    const ducker = audio.Ducker();
+
+    /**
+     * Ducks the bus for a kick
+     * @param {number} velocity - Kick velocity, softer kicks duck less
+     * @param {number} time - Audio context time of the kick
+     */
+    function trigger(velocity, time) {
+        if (depth.value > 0) {
+            ducker.duck(time, depth.value * Math.min(velocity, 1), attack.value, release.value);
+        }
+    }
+
+    return {
+        depth,
+        attack,
+        release,
+        inputNode: ducker.in,
+        trigger
+    };
+}
+
+/**
+ * Creates a mixer with one channel strip per voice: level, pan, mute, solo, effect sends and peak meter
+ * Level changes, mutes and solos included, take effect from the next step the clock schedules,
+ * so notes that are already scheduled play out with the state they were scheduled with
+ * @param {Object} audio - Audio context and utilities
+ * @param {Object} delay - Delay unit whose send bus the channels feed
+ * @param {Object} reverb - Reverb unit whose send bus the channels feed
+ * @param {Function} [when] - Returns the audio time at which level changes take effect
+ * @returns {Object} Mixer with its channel list and functions adding and removing channels
+ */
+function MixerUnit(audio, delay, reverb, when = () => audio.context.currentTime) {
+    // All channels, in creation order
+    const channels = genericParameter("Mixer Channels", []);
+
+    // Channel strip of each channel
+    const strips = new Map();
+
+    /**
+     * Applies levels, mutes and solos of all channels
+     */
+    function update() {
+        const soloing = channels.value.some(c => c.solo.value);
+        const time = when();
+        channels.value.forEach(c => {
+            const audible = !c.mute.value && (!soloing || c.solo.value);
+            if (c.audible.value !== audible) c.audible.value = audible;
+            strips.get(c).level.setTargetAtTime(audible ? c.parameters.level.value : 0, time, 0.005);
+        });
+    }
+
+    /**
+     * Adds a channel to the mixer
+     * @param {string} name - Channel name
+     * @param {Object} [options] - Initial send levels and output
+     * @param {number} [options.delaySend=0] - Initial delay send level
+     * @param {number} [options.reverbSend=0] - Initial reverb send level
+     * @param {AudioNode} [options.output] - Bus the channel plays into, defaults to the master channel
+     * @returns {Object} Channel with input node, parameters, mute, solo and peak meter
+     */
+    function channel(name, { delaySend = 0, reverbSend = 0, output = audio.master.in } = {}) {
+        const strip = audio.ChannelStrip(output, [delay.sendNode, reverb.sendNode]);
+
+        const parameters = {
+            level: parameter(`${name} Level`, [0, 1.5], 1),
+            pan: parameter(`${name} Pan`, [-1, 1], 0),
+            delaySend: parameter(`${name} Delay Send`, [0, 1], delaySend),
+            reverbSend: parameter(`${name} Reverb Send`, [0, 1], reverbSend)
+        };
+
+        const newChannel = {
+            name,
+            input: strip.in,
+            parameters,
+            mute: genericParameter(`Mute ${name}`, false),
+            solo: genericParameter(`Solo ${name}`, false),
+            audible: genericParameter(`${name} Audible`, true),  // Neither muted nor silenced by a solo
+            peak: strip.peak
+        };
+
+        strips.set(newChannel, strip);
+        channels.value = [...channels.value, newChannel];
+
+        parameters.pan.subscribe(v => strip.pan.value = v);
+        parameters.delaySend.subscribe(v => strip.sends[0].value = v);
+        parameters.reverbSend.subscribe(v => strip.sends[1].value = v);
+        [parameters.level, newChannel.mute, newChannel.solo].forEach(p => p.subscribe(update));
+
+        return newChannel;
+    }
+
+    /**
+     * Removes a channel from the mixer and takes its strip out of the graph
+     * @param {Object} channel - Channel returned by channel()
+     */
+    function remove(channel) {
+        strips.get(channel).disconnect();
+        strips.delete(channel);
+        channels.value = channels.value.filter(c => c !== channel);
+        update();
+    }
+
+    return {
+        channels,
+        channel,
+        remove
+    };
+}
+
+// Drum voices of a drum machine, each with its own mixer channel and reverb send
+const drumChannels = [
+    ["BD", 0],
+    ["OH", 0.1],
+    ["CH", 0.05],
+    ["SD", 0.2]
+];
+
+// Instrument types the registry can add, by type id
+// create builds a unit and its mixer channels on the shared buses, copy carries the state
+// of a unit over to another one of the same type, and wander says whether the autopilot
+// may wander the unit's parameters
+const instrumentTypes = {
+    acid: {
+        name: "303",
+        wander: true,
+        async create(audio, buses, { name }, { waveform = "sawtooth" } = {}) {
+            // Fully sent to the delay and ducked by the kick
+            const channel = buses.mixer.channel(name, { delaySend: 1, reverbSend: 0.15, output: buses.sidechain.inputNode });
+            return { unit: ThreeOhUnit(audio, waveform, channel.input, buses.gen), channels: [channel] };
+        },
+        async copy(from, to) {
+            copyParameters(from.parameters, to.parameters);
+            to.driveCurve.value = from.driveCurve.value;
+            to.length.value = from.length.value;
+        }
+    },
+    sub: {
+        name: "Sub Bass",
+        wander: false,
+        async create(audio, buses, { name }) {
+            const channel = buses.mixer.channel(name, { output: buses.sidechain.inputNode });
+            // A clean sine following the bassline: no filter sweep, no distortion. These are
+            // the parameters' defaults, so replaying a seed resets to them
+            const unit = ThreeOhUnit(audio, "sine", channel.input, buses.gen, 16, {
+                cutoff: 700,
+                resonance: 1,
+                envMod: 0,
+                decay: 0.9,
+                driveMix: 0
+            });
+            return { unit, channels: [channel] };
+        },
+        async copy(from, to) {
+            copyParameters(from.parameters, to.parameters);
+            to.driveCurve.value = from.driveCurve.value;
+            to.length.value = from.length.value;
+        }
+    },
+    drums: {
+        name: "Drums",
+        wander: false,
+        async create(audio, buses, { letter }, { kit } = {}) {
+            // The first drum machine's channels are plain drum names, later ones get their letter
+            const channels = drumChannels.map(([drum, reverbSend]) =>
+                buses.mixer.channel(letter === "A" ? drum : `${drum} ${letter}`, { reverbSend })
+            );
+            const unit = await NineOhUnit(audio, channels, buses.sidechain, buses.drumRandom);
+            if (kit) {
+                unit.kit.value = kit;
+                await unit.kitReady();
+            }
+            return { unit, channels };
+        },
+        async copy(from, to) {
+            to.kit.value = from.kit.value;
+            await to.kitReady();
+            to.synthParameters.forEach((voice, i) => copyParameters(from.synthParameters[i], voice));
+            to.length.value = from.length.value;
+            to.genre.value = from.genre.value;
+            to.mode.value = from.mode.value;
+            to.euclidean.forEach((voice, i) => copyParameters(from.euclidean[i], voice));
+            copyParameters(from.generation, to.generation);
+            copyParameters(from.variation, to.variation);
+            to.fillEvery.value = from.fillEvery.value;
+            to.fillDensity.value = from.fillDensity.value;
+            to.fillKind.value = from.fillKind.value;
+        }
+    },
+    pad: {
+        name: "Pad",
+        wander: false,
+        async create(audio, buses, { name }) {
+            // Chords following the bassline's notes, ducked along with the synth voices
+            const channel = buses.mixer.channel(name, { delaySend: 0.3, reverbSend: 0.4, output: buses.sidechain.inputNode });
+            return { unit: PadUnit(audio, channel.input, ChordGen(buses.gen)), channels: [channel] };
+        },
+        async copy(from, to) {
+            copyParameters(from.parameters, to.parameters);
+            to.mode.value = from.mode.value;
+            to.chordLength.value = from.chordLength.value;
+        }
+    }
+};
+
+/**
+ * Creates the instrument registry, the units the clock steps, the autopilot plays with
+ * and the UI shows. Units are added and removed at runtime, everything driving them
+ * follows the unit list instead of fixed positions.
+ * Every unit has a step function taking the steps since the start, a pattern with new
+ * pattern and mutation triggers, a reset starting it over and its mixer channels, and is tagged with its type id, a unique name and the options it was added with
+ * Units may also have parameters, wandered by AutoPilot when their type says so, and
+ * generation parameters shaping new patterns, which AutoPilot wanders slowly. The registry
+ * gives every unit a history of its patterns, whose lock keeps AutoPilot from changing them.
+ * @param {Object} audio - Audio context and utilities
+ * @param {Object} buses - Mixer, sidechain and note generator the units play through
+ * @returns {Object} Registry with the unit list, available types and add and remove functions
+ */
+function InstrumentRegistry(audio, buses) {
+    // Units in stepping order
+    const units = genericParameter("Instruments", []);
+
+    // Available types as [id, name] pairs
+    const types = Object.entries(instrumentTypes).map(([id, type]) => [id, type.name]);
+
+    /**
+     * Adds a unit of the given type
+     * @param {string} type - Type id, one of instrumentTypes
+     * @param {Object} [options] - Type specific options, like the waveform of a 303 or a drum kit
+     * @returns {Promise<Object>} The added unit
+     */
+    async function add(type, options = {}) {
+        const definition = instrumentTypes[type];
+        if (!definition) {
+            throw new Error(`Unknown instrument type ${type}`);
+        }
+        // First letter not taken by another unit of the same type
+        const taken = units.value.filter(u => u.type === type).map(u => u.letter);
+        const letter = [..."ABCDEFGHIJKLMNOPQRSTUVWXYZ"].find(l => !taken.includes(l));
+        const name = `${definition.name} ${letter}`;
+
+        const { unit, channels } = await definition.create(audio, buses, { name, letter }, options);
+        Object.assign(unit, { type, name, letter, options, channels, wander: definition.wander });
+        // Favourites are shared by all units of a type, units with a lock of their own share it with the history
+        unit.history = PatternHistory(unit.pattern, type, { locked: unit.locked });
+        units.value = [...units.value, unit];
+        return unit;
+    }
+
+    /**
+     * Removes a unit, stopping its sound and taking its mixer channels away
+     * @param {Object} unit - Unit returned by add()
+     */
+    function remove(unit) {
+        units.value = units.value.filter(u => u !== unit);
+        if (unit.dispose) unit.dispose();
+        unit.channels.forEach(buses.mixer.remove);
+    }
+
+    return {
+        units,
+        types,
+        add,
+        remove
     };
 }
 
 /**
  * Creates an autopilot system that automatically modifies various parameters of the synthesizer
- * This includes pattern changes, parameter modulation, and drum part muting
+ * This includes pattern changes, either gradual mutations or full regenerations,
+ * parameter modulation, and drum part muting. Locked patterns and note sets are left alone.
  * @param {Object} state - The program state containing all synth parameters and controls
- * @returns {Object} Control switches for the autopilot features
+ * @returns {Object} Control switches for the autopilot features and a reset
  */
 function AutoPilot(state) {
     // Parameters to track measure progression
     const nextMeasure = parameter("upcomingMeasure", [0, Infinity], 0);
     const currentMeasure = parameter("measure", [0, Infinity], 0);
     
+    // Decisions come from the session's "autopilot" stream, so a seed replays them exactly
+    const random = randomStream("autopilot");
+
+    // Measure at which each unit mutates its pattern next, when evolving
+    let nextMutation = new Map();
+
+    // Chance of each instrument type getting a new pattern every 16 measures, halved every 64 when evolving
+    const patternChances = {
+        acid: 0.5,
+        sub: 0.5,
+        drums: 0.3,
+        pad: 0.25
+    };
+
     // Control switches for different autopilot features
     const patternEnabled = genericParameter("Alter Patterns", true);
     const dialsEnabled = genericParameter("Twiddle With Knobs", true);
     const mutesEnabled = genericParameter("Mute Drum Parts", true);
+    const evolveEnabled = genericParameter("Evolve Patterns", true);
+    const genreEnabled = genericParameter("Change Drum Genres", false);
+
+    // Genres AutoPilot moves between when changing drum genres
+    const genres = ["classic", "techno", "electro", "breakbeat", "jungle", "halftime", "minimal"];
     
-    // Update measure counters based on step progression
-    state.clock.currentStep.subscribe(step => {
-        if (step === 4) {
+    // Update measure counters as the steps are scheduled, so a seed makes the same changes
+    // on the same steps: new patterns are asked for mid-bar and start with the next pattern,
+    // mutes change on the first step of the bar
+    state.clock.onStep((time, step) => {
+        if (step % 16 === 4) {
             nextMeasure.value = nextMeasure.value + 1;
-        } else if (step === 15) { // slight hack to get mutes functioning as expected
+        } else if (step % 16 === 0 && step > 0) {
             currentMeasure.value = currentMeasure.value + 1;
         }
     });
 
+    // Units whose patterns aren't locked
+    const unlocked = () => state.instruments.units.value.filter(unit => !unit.history.locked.value);
+
     // Handle pattern changes on measure boundaries
     nextMeasure.subscribe(measure => {
         if (patternEnabled.value) {
             // Every 64 measures, possibly generate new notes
             if (measure % 64 === 0) {
-                if (Math.random() < 0.2) {
+                if (random() < 0.2 && !state.noteHistory.locked.value) {
                     state.gen.newNotes.value = true;
                 }
             }
-            // Every 16 measures, possibly change patterns
-            if (measure % 16 === 0) {
-                // 50% chance to change each note pattern
-                state.notes.forEach((n, i) => {
-                    if (Math.random() < 0.5) {
-                        n.newPattern.value = true;
+            if (evolveEnabled.value) {
+                // Every unit mutates a few steps every 8 to 16 measures, on its own schedule
+                unlocked().forEach(unit => {
+                    if (!nextMutation.has(unit)) {
+                        nextMutation.set(unit, measure + 8 + rndInt(9, random));
+                    } else if (measure >= nextMutation.get(unit)) {
+                        unit.mutatePattern.value = true;
+                        nextMutation.set(unit, measure + 8 + rndInt(9, random));
                     }
                 });
-                // 30% chance to change drum pattern
-                if (Math.random() < 0.3) {
-                    state.drums.newPattern.value = true;
+                // Full regenerations are rarer, every 64 measures
+                if (measure % 64 === 0 && measure > 0) {
+                    unlocked().forEach(unit => {
+                        if (random() < patternChances[unit.type] / 2) {
+                            unit.newPattern.value = true;
+                        }
+                    });
                 }
+            } else if (measure % 16 === 0) {
+                // Every 16 measures, possibly change the pattern of each instrument
+                unlocked().forEach(unit => {
+                    if (random() < patternChances[unit.type]) {
+                        unit.newPattern.value = true;
+                    }
+                });
+            }
+            // Every 64 measures, possibly move the drums to another genre with a pattern to match
+            if (genreEnabled.value && measure % 64 === 0 && measure > 0) {
+                unlocked().filter(unit => unit.genre).forEach(drums => {
+                    if (random() < 0.3) {
+                        drums.genre.value = choose(genres, random);
+                        drums.newPattern.value = true;
+                    }
+                });
             }
         }
     });
 
     // Handle drum muting on measure boundaries
     currentMeasure.subscribe(measure => {
-        if (mutesEnabled.value) {
-            // Every 8 measures, randomize drum mutes
+        // Song mode takes care of the mutes while it's on
+        if (mutesEnabled.value && !state.arranger.enabled.value) {
+            // Every 8 measures, randomize the mutes of every drum machine
             if (measure % 8 == 0) {
-                const drumMutes = [
-                    Math.random() < 0.2,  // 20% chance to mute first part
-                    Math.random() < 0.5,  // 50% chance to mute other parts
-                    Math.random() < 0.5,
-                    Math.random() < 0.5
-                ];
-                // Apply mutes to drum parts
-                state.drums.mutes[0].value = drumMutes[0];
-                state.drums.mutes[1].value = drumMutes[1];
-                state.drums.mutes[2].value = drumMutes[2];
-                state.drums.mutes[3].value = drumMutes[3];
+                state.instruments.units.value.filter(unit => unit.mutes).forEach(drums => {
+                    // 20% chance to mute the bass drum, 50% chance to mute other parts
+                    drums.mutes.forEach((mute, i) => mute.value = random() < (i === 0 ? 0.2 : 0.5));
+                });
             }
         }
     });
 
-    // Collect all parameters that should be modulated
-    const noteParams = state.notes.flatMap(x => Object.values(x.parameters));
-    const delayParams = [state.delay.feedback, state.delay.dryWet];
-
-    // Create parameter wanderers for automatic modulation
-    const wanderers = [...noteParams, ...delayParams].map(param => WanderingParameter(param));
+    // Wanderers for the delay and reverb, plus those of the instruments, kept in step with the unit list
+    const effectParams = [state.delay.feedback, state.delay.dryWet, state.reverb.wet, state.reverb.damping];
+    let wanderers = new Map();
+    function updateWanderers() {
+        const params = [
+            ...effectParams,
+            ...state.instruments.units.value.filter(unit => unit.wander).flatMap(unit => Object.values(unit.parameters))
+        ];
+        // Generation parameters drift ten times slower, changing the character of the patterns over long sessions
+        const generationParams = [
+            ...Object.values(state.gen.parameters),
+            ...state.instruments.units.value.flatMap(unit => Object.values(unit.generation || {}))
+        ];
+        wanderers = new Map([
+            ...params.map(param => [param, wanderers.get(param) || WanderingParameter(param)]),
+            ...generationParams.map(param => [param, wanderers.get(param) || WanderingParameter(param, 1/4000)])
+        ]);
+        // Removed units no longer mutate, so their schedules are dropped
+        nextMutation.forEach((_, unit) => {
+            if (!state.instruments.units.value.includes(unit)) nextMutation.delete(unit);
+        });
+    }
+    state.instruments.units.subscribe(updateWanderers);
     
-    // Update wandering parameters every 100ms if enabled
-    window.setInterval(() => {
-        if (dialsEnabled.value) {
-            wanderers.forEach(w => w.step());
+    // Update wandering parameters every 100ms of scheduled time if enabled, so their moves
+    // follow the music while drifting at the same speed whatever the tempo
+    const wanderInterval = 0.1;
+    let wanderTime = 0;
+    state.clock.onStep((time, step, duration) => {
+        wanderTime += duration;
+        while (wanderTime >= wanderInterval) {
+            wanderTime -= wanderInterval;
+            if (dialsEnabled.value) {
+                wanderers.forEach(w => w.step());
+            }
         }
-    }, 100);
+    });
+
+    /**
+     * Starts over from the first measure with fresh wanderers
+     */
+    function reset() {
+        nextMutation = new Map();
+        wanderTime = 0;
+        nextMeasure.value = 0;
+        currentMeasure.value = 0;
+        wanderers = new Map();
+        updateWanderers();
+    }
 
     // Return control switches for UI
     return {
         switches: [
             patternEnabled,
             dialsEnabled,
-            mutesEnabled
-        ]
+            mutesEnabled,
+            evolveEnabled,
+            genreEnabled
+        ],
+        reset
+    };
+}
+
+// Sections of a song in the order they're played, the song starts over after the outro
+const songOrder = ["intro", "build", "drop", "breakdown", "build", "drop", "outro"];
+
+// Bars each section may last when its length is left random
+const sectionBarChoices = {
+    intro: [8, 16],
+    build: [4, 8],
+    drop: [16, 32],
+    breakdown: [8, 16],
+    outro: [8, 16]
+};
+
+/**
+ * Creates an arrangement engine that gives an endless session the shape of a DJ set
+ * Moves through intro, build, drop, breakdown and outro sections, driving the mixer mutes,
+ * the units' pattern triggers and a few parameters. Parameters a section changes are put
+ * back when it ends. Locked patterns are left alone.
+ * @param {Object} state - The program state containing all synth parameters and controls
+ * @returns {Object} Song mode switch, section lengths, the current section and a reset
+ */
+function Arranger(state) {
+    const enabled = genericParameter("Song Mode", false);
+
+    // Bars of every section, 0 for a random length each time it comes around
+    const lengths = Object.fromEntries(Object.keys(sectionBarChoices).map(name =>
+        [name, genericParameter(`${name[0].toUpperCase()}${name.slice(1)} Bars`, 0)]
+    ));
+
+    // Section playing, its position in the song and how far into it we are
+    const section = genericParameter("Section", "");
+    let songIndex = -1;
+    let sectionBars = 0;
+    let bar = 0;
+
+    // Section lengths come from a stream of their own, so a seed replays the song
+    const random = randomStream("arrangement");
+
+    // Values of the parameters the current section changed, to put back when it ends
+    let held = new Map();
+    function hold(param, value) {
+        if (!held.has(param)) held.set(param, param.value);
+        param.value = value;
+    }
+    function restore() {
+        held.forEach((value, param) => param.value = value);
+        held = new Map();
+    }
+
+    const units = () => state.instruments.units.value;
+    const drumUnits = () => units().filter(unit => unit.mutes);
+    const synthUnits = () => units().filter(unit => unit.type === "acid" || unit.type === "sub");
+    const unlocked = list => list.filter(unit => !unit.history.locked.value);
+    const muteUnit = (unit, muted) => unit.channels.forEach(channel => channel.mute.value = muted);
+
+    // Order drum voices come in and go out by: bass drum, closed hat, open hat, snare
+    const voiceOrder = [0, 2, 1, 3];
+    function drumVoices(count) {
+        drumUnits().forEach(drums => voiceOrder.forEach((voice, i) => drums.mutes[voice].value = i >= count));
+    }
+
+    // What each section does as it starts and on each of its bars
+    const sections = {
+        intro: {
+            start() {
+                // A fresh song, built up from the kick alone
+                unlocked(units()).forEach(unit => unit.newPattern.value = true);
+                units().forEach(unit => muteUnit(unit, unit.type === "acid" || unit.type === "sub"));
+            },
+            bar(i, bars) {
+                drumVoices(1 + Math.floor(4 * i / bars));
+            }
+        },
+        build: {
+            start() {
+                units().forEach(unit => muteUnit(unit, false));
+                drumUnits().forEach(drums => {
+                    hold(drums.fillKind, "roll");
+                    hold(drums.fillDensity, 1);
+                });
+            },
+            bar(i, bars) {
+                // The filters open up over the build, ending in a snare roll
+                synthUnits().forEach(unit => {
+                    const [min, max] = unit.parameters.cutoff.bounds;
+                    hold(unit.parameters.cutoff, min + (max - min) * (0.2 + 0.7 * (i + 1) / bars));
+                });
+                if (i === bars - 1) {
+                    drumUnits().forEach(drums => drums.fill.value = true);
+                }
+            }
+        },
+        drop: {
+            start() {
+                // The full kit with a new beat, and the lines moved on a bit
+                units().forEach(unit => muteUnit(unit, false));
+                unlocked(drumUnits()).forEach(drums => drums.newPattern.value = true);
+                unlocked(synthUnits()).forEach(unit => unit.mutatePattern.value = true);
+            },
+            bar() {}
+        },
+        breakdown: {
+            start() {
+                // No drums, with the delay up to fill the space
+                drumUnits().forEach(drums => muteUnit(drums, true));
+                hold(state.delay.dryWet, state.delay.dryWet.bounds[1]);
+                hold(state.delay.feedback, 0.7);
+            },
+            bar() {}
+        },
+        outro: {
+            start() {},
+            bar(i, bars) {
+                // Drums thin out again, the lines leave halfway
+                drumVoices(4 - Math.floor(4 * i / bars));
+                synthUnits().forEach(unit => muteUnit(unit, i >= bars / 2));
+            }
+        }
+    };
+
+    /**
+     * Moves on to the next section of the song
+     */
+    function nextSection() {
+        restore();
+        songIndex = (songIndex + 1) % songOrder.length;
+        section.value = songOrder[songIndex];
+        sectionBars = lengths[section.value].value || choose(sectionBarChoices[section.value], random);
+        bar = 0;
+        sections[section.value].start();
+    }
+
+    // Sections change on the bars as they're scheduled, before the instruments step, so the
+    // mutes land on the first step of the bar and new patterns start with it
+    state.clock.onStep((time, step) => {
+        if (!enabled.value || step % 16 !== 0) return;
+        if (bar >= sectionBars) {
+            nextSection();
+        }
+        sections[section.value].bar(bar, sectionBars);
+        bar++;
+    });
+
+    // Turning song mode off goes back to the full mix, turning it on starts with an intro
+    enabled.subscribe(on => {
+        if (!on) {
+            restore();
+            units().forEach(unit => muteUnit(unit, false));
+        }
+        reset();
+    });
+
+    /**
+     * Starts the song over from the intro on the next bar
+     */
+    function reset() {
+        restore();
+        section.value = "";
+        songIndex = -1;
+        sectionBars = 0;
+        bar = 0;
+    }
+
+    return {
+        enabled,
+        lengths,
+        section,
+        reset
     };
 }
 
 /**
  * Creates a clock unit that manages tempo and step progression for the sequencer
- * @returns {Object} Clock unit with BPM and current step parameters
+ * Steps are handed to the instruments ahead of time through onStep, while currentStep
+ * follows the playhead so anything watching it stays in sync with what is heard
+ * @param {Object} audio - Audio context and utilities
+ * @returns {Object} Clock unit with BPM, current step and step count parameters
  */
-function ClockUnit() {
+function ClockUnit(audio) {
     // Create BPM parameter with range 70-200, default 142
     const bpm = parameter("BPM", [70, 200], 142);
     
     // Create step counter parameter with range 0-15, default 0
     const currentStep = parameter("Current Step", [0, 15], 0);
+
+    // Steps heard since the start, never wrapping, for patterns of any length
+    const stepCount = parameter("Step Count", [0, Infinity], 0);
     
-    // Initialize clock with default BPM, 4 beats per bar, and no offset
-    const clockImpl = Clock(bpm.value, 4, 0.0);
+    // Initialize clock on the audio timeline with default BPM, 4 steps per beat, and no shuffle
+    const clockImpl = Clock(audio.context, bpm.value, 4, 0.0);
+
+    // Callbacks scheduling instruments ahead of the playhead
+    const stepListeners = [];
     
     // Update clock when BPM changes
     bpm.subscribe(clockImpl.setBpm);
     
-    // Update current step on each clock tick
-    // time: current audio time, step: current step number
-    clockImpl.bind((time, step) => {
-        currentStep.value = step % 16;  // Keep step within 0-15 range
+    // Fan scheduled steps out to the instruments
+    // time: audio time the step starts at, step: step number, duration: step length in seconds
+    clockImpl.bind((time, step, duration) => {
+        stepListeners.forEach(l => l(time, step, duration));
     });
 
-    // Start the clock initially
-    clockImpl.start();
+    // Update current step once the step is actually heard
+    clockImpl.bindPlayhead((time, step) => {
+        stepCount.value = step;
+        currentStep.value = step % 16;  // Keep step within 0-15 range
+    });
 
     // Return interface with tempo and step controls
     return {
         bpm,
         currentStep,
+        stepCount,
+        onStep: (fn) => {
+            stepListeners.push(fn);
+        },
+        nextStepTime: clockImpl.nextStepTime,
+        // Count from the first step again
+        reset: clockImpl.reset,
         stop: () => {
             // console.log('Stopping clock');
             clockImpl.stop();
@@ -367,6 +1351,294 @@ function ClockUnit() {
     };
 }
 
+// Instruments the program starts with, as [type, options] pairs
+const defaultInstruments = [
+    ["acid", { waveform: "sawtooth" }],
+    ["acid", { waveform: "square" }],
+    ["drums"],
+    ["pad"]
+];
+
+/**
+ * Builds the instruments, mixer and effects on an audio context
+ * Shared by live playback and offline rendering so both run the same graph
+ * @param {Object} audio - Audio context and utilities
+ * @param {Object} gen - Note pattern generator for the synth voices
+ * @param {Function} [when] - Returns the audio time at which mixer changes take effect
+ * @param {Array} [setup=defaultInstruments] - Instruments to add, as [type, options] pairs
+ * @param {Function} [drumRandom] - Source of random numbers for the drum machines, the session's "drums" stream by default
+ * @returns {Promise<Object>} The instrument registry, effects and mixer
+ */
+async function createInstruments(audio, gen, when, setup = defaultInstruments, drumRandom = randomStream("drums")) {
+    // Synth voices use the ladder filter where AudioWorklet is supported
+    await audio.loadLadderFilter();
+
+    // The synth voices and the delay returns share a bus ducked by the kick
+    const sidechain = SidechainUnit(audio);
+    const delay = DelayUnit(audio, sidechain.inputNode);
+    const reverb = ReverbUnit(audio);
+    const mixer = MixerUnit(audio, delay, reverb, when);
+
+    const instruments = InstrumentRegistry(audio, { mixer, sidechain, gen, drumRandom });
+    for (const [type, options] of setup) {
+        await instruments.add(type, options);
+    }
+
+    return {
+        instruments,
+        delay,
+        reverb,
+        sidechain,
+        mixer
+    };
+}
+
+/**
+ * Copies parameter values onto a matching set of parameters
+ * @param {Object} from - Parameters to copy from, by key
+ * @param {Object} to - Parameters to copy to, with the same keys
+ */
+function copyParameters(from, to) {
+    Object.keys(from).forEach(k => to[k].value = from[k].value);
+}
+
+/**
+ * Renders the current loop to an AudioBuffer, much faster than real time
+ * Rebuilds the same instrument, mixer, delay and master graph on an OfflineAudioContext,
+ * copies over the current patterns and parameter values and schedules every step up front
+ * @param {Object} state - The program state to render
+ * @param {number} bars - Number of bars to render
+ * @returns {Promise<AudioBuffer>} The rendered audio
+ */
+async function renderOffline(state, bars) {
+    const sampleRate = state.audioContext.sampleRate;
+    const stepDuration = (60 / state.clock.bpm.value) / 4;
+    const steps = bars * 16;
+    // Leave room for the delay tail to ring out after the last bar
+    const tail = 2;
+
+    const context = new OfflineAudioContext(2, Math.ceil((steps * stepDuration + tail) * sampleRate), sampleRate);
+    // Noise of its own, so exporting leaves the live session's random streams alone
+    const audio = Audio(context, seededRandom(hashSeed(`${currentSeed()}:export`)));
+    audio.master.in.gain.value = state.masterVolume.value;
+
+    // Same instruments as the live program, in the same order
+    const sources = state.instruments.units.value;
+    const { instruments, delay, reverb, sidechain, mixer } = await createInstruments(
+        audio,
+        ThreeOhGen(),
+        undefined,
+        sources.map(unit => [unit.type, unit.options]),
+        seededRandom(hashSeed(`${currentSeed()}:export-drums`))
+    );
+
+    copyParameters(
+        { dryWet: state.delay.dryWet, feedback: state.delay.feedback, delayTime: state.delay.delayTime },
+        delay
+    );
+    copyParameters(
+        {
+            type: state.reverb.type,
+            size: state.reverb.size,
+            preDelay: state.reverb.preDelay,
+            damping: state.reverb.damping,
+            wet: state.reverb.wet
+        },
+        reverb
+    );
+    copyParameters(
+        { depth: state.sidechain.depth, attack: state.sidechain.attack, release: state.sidechain.release },
+        sidechain
+    );
+
+    // Channels are created along with their units, so they line up with the live mixer's
+    mixer.channels.value.forEach((channel, i) => {
+        const source = state.mixer.channels.value[i];
+        copyParameters(source.parameters, channel.parameters);
+        channel.mute.value = source.mute.value;
+        channel.solo.value = source.solo.value;
+    });
+
+    const units = instruments.units.value;
+    for (let i = 0; i < units.length; i++) {
+        await instrumentTypes[units[i].type].copy(sources[i], units[i]);
+        units[i].pattern.value = sources[i].pattern.value;
+        units[i].newPattern.value = false;
+        units[i].mutatePattern.value = false;
+    }
+
+    for (let n = 0; n < steps; n++) {
+        units.forEach(unit => unit.step(n, n * stepDuration, stepDuration));
+    }
+
+    return await context.startRendering();
+}
+
+/**
+ * Creates an export unit that renders bars of the current loop to a downloadable WAV file
+ * @param {Object} state - The program state to render
+ * @returns {Object} Export settings, rendering flag and render function
+ */
+function ExportUnit(state) {
+    // Export settings
+    const bars = genericParameter("Export Bars", 8);
+    const bitDepth = genericParameter("Bit Depth", 16);
+
+    // Whether a render is in progress
+    const rendering = genericParameter("Rendering", false);
+
+    /**
+     * Renders the chosen number of bars and offers the result as a download
+     */
+    async function render() {
+        if (rendering.value) return;
+        rendering.value = true;
+        try {
+            const buffer = await renderOffline(state, bars.value);
+            const bpm = Math.round(state.clock.bpm.value);
+            downloadBlob(audioBufferToWav(buffer, bitDepth.value), `endless-banger-${bpm}bpm-${bars.value}bars.wav`);
+        } catch (e) {
+            console.error('Export failed', e);
+        } finally {
+            rendering.value = false;
+        }
+    }
+
+    return {
+        bars,
+        bitDepth,
+        rendering,
+        render
+    };
+}
+
+/**
+ * Creates a recorder unit that captures exactly what is playing from the master output
+ * The elapsed time follows the audio clock, so it stands still while playback is paused
+ * @param {Object} audio - Audio context and utilities
+ * @returns {Object} Recording settings, state and toggle function
+ */
+function RecorderUnit(audio) {
+    // "wav" for lossless or "compressed" for whatever MediaRecorder supports
+    const format = genericParameter("Record Format", "wav");
+    const recording = genericParameter("Recording", false);
+    const elapsed = parameter("Recording Time", [0, Infinity], 0);
+
+    let pcm = null;
+    let stream = null;
+    let startTime = 0;
+    let intervalId = null;
+
+    async function start() {
+        if (format.value === "wav") {
+            pcm = pcm || await audio.PcmRecorder();
+            pcm.start();
+        } else {
+            stream = stream || audio.StreamRecorder();
+            stream.start();
+        }
+        startTime = audio.context.currentTime;
+        elapsed.value = 0;
+        recording.value = true;
+        intervalId = window.setInterval(() => {
+            elapsed.value = audio.context.currentTime - startTime;
+        }, 250);
+    }
+
+    async function stop() {
+        window.clearInterval(intervalId);
+        recording.value = false;
+
+        const name = `endless-banger-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+        if (format.value === "wav") {
+            downloadBlob(encodeWav(await pcm.stop(), audio.context.sampleRate, 16), `${name}.wav`);
+        } else {
+            const blob = await stream.stop();
+            const extension = blob.type.includes('ogg') ? 'ogg' : blob.type.includes('mp4') ? 'm4a' : 'webm';
+            downloadBlob(blob, `${name}.${extension}`);
+        }
+    }
+
+    /**
+     * Starts recording, or stops and downloads the recording in progress
+     */
+    async function toggle() {
+        try {
+            if (recording.value) {
+                await stop();
+            } else {
+                await start();
+            }
+        } catch (e) {
+            console.error('Recording failed', e);
+        }
+    }
+
+    return {
+        format,
+        recording,
+        elapsed,
+        toggle
+    };
+}
+
+/**
+ * Creates a session unit holding the seed every random stream is derived from
+ * Replaying a seed starts the music over from the first step with all parameters,
+ * mutes and patterns back at their defaults, so the same seed brings back the exact
+ * same evolution of patterns, mutes and knob moves
+ * @param {Object} state - The program state to start over
+ * @param {Object} autoPilot - The autopilot to start over
+ * @returns {Object} Seed parameter, replay and new session functions
+ */
+function SessionUnit(state, autoPilot) {
+    const seed = genericParameter("Seed", currentSeed());
+
+    /**
+     * Starts the session over from the current seed
+     */
+    function replay() {
+        seedSession(seed.value);
+
+        // The song starts over first, so values it held don't come back over the defaults
+        state.arranger.reset();
+
+        // Knobs, mutes and solos back to their defaults, along with the drum genres and fills
+        // AutoPilot and the song arrangement change
+        const effectParams = [state.delay.feedback, state.delay.dryWet, state.reverb.wet, state.reverb.damping];
+        const unitParams = state.instruments.units.value.flatMap(unit => [
+            ...Object.values(unit.parameters || {}),
+            ...Object.values(unit.generation || {}),
+            ...[unit.genre, unit.fillKind, unit.fillDensity].filter(Boolean)
+        ]);
+        [...effectParams, ...Object.values(state.gen.parameters), ...unitParams].forEach(p => p.reset());
+        state.mixer.channels.value.forEach(channel => {
+            channel.mute.reset();
+            channel.solo.reset();
+        });
+
+        // Fresh notes and patterns from the first step on
+        state.gen.newNotes.value = true;
+        state.instruments.units.value.forEach(unit => unit.reset());
+        autoPilot.reset();
+        state.clock.reset();
+    }
+
+    /**
+     * Starts a new session from a fresh random seed
+     */
+    function newSession() {
+        seed.value = newSeed();
+        replay();
+    }
+
+    return {
+        seed,
+        replay,
+        newSession
+    };
+}
+
 /**
  * Initializes and starts the acid synthesizer application
  * Sets up audio context, instruments, effects, and UI
@@ -376,32 +1648,42 @@ async function start() {
     // Initialize core audio system
     const audio = Audio();
     
-    // Set up timing and delay effects
-    const clock = ClockUnit();
-    const delay = DelayUnit(audio);
-    
-    // Sync delay time with tempo (3/4 of a beat duration)
-    clock.bpm.subscribe(b => delay.delayTime.value = (3/4) * (60/b));
+    // Set up timing
+    const clock = ClockUnit(audio);
 
     // Initialize pattern generator
     const gen = ThreeOhGen();
+    try {
+        gen.setCorpus("acid-lines.txt", await loadCorpus());
+    } catch (e) {
+        console.warn('Could not load the acid line corpus, the Markov generator is unavailable', e);
+    }
+    // History of the note sets, with favourites of their own
+    const noteHistory = PatternHistory(gen.noteSet, "notes");
+
+    // Initialize the instruments, mixer and effects
+    const { instruments, delay, reverb, sidechain, mixer } = await createInstruments(audio, gen, clock.nextStepTime);
+    
+    // Sync delay time with tempo (3/4 of a beat duration)
+    clock.bpm.subscribe(b => delay.delayTime.value = (3/4) * (60/b));
     
     // Create program state object containing all synth components
     const programState = {
-        // Initialize two synth voices with different waveforms
-        notes: [
-            ThreeOhUnit(audio, "sawtooth", delay.inputNode, gen),
-            ThreeOhUnit(audio, "square", delay.inputNode, gen)
-        ],
-        // Initialize drum machine
-        drums: await NineOhUnit(audio),
+        instruments,
         gen,
+        noteHistory,
         delay,
+        reverb,
+        sidechain,
+        mixer,
         clock,
         // Master volume control
         masterVolume: parameter("Volume", [0, 1], 0.5),
         // Store audio context for pause/resume functionality
-        audioContext: audio.context
+        audioContext: audio.context,
+        // Pause and resume with short fades, so neither clicks
+        pause: audio.suspend,
+        resume: audio.resume
     };
 
     // Connect master volume control
@@ -409,18 +1691,30 @@ async function start() {
         audio.master.in.gain.value = newVolume;
     });
 
-    // Step all instruments (synths and drums) on each clock tick
-    clock.currentStep.subscribe(step => 
-        [...programState.notes, programState.drums].forEach(d => d.step(step))
+    // The song arrangement acts on each step before the instruments play it
+    programState.arranger = Arranger(programState);
+
+    // Schedule every instrument in the registry ahead of each clock step
+    clock.onStep((time, step, duration) =>
+        instruments.units.value.forEach(unit => unit.step(step, time, duration))
     );
 
-    // Initialize autopilot and UI
+    // Offline rendering of the current loop and live recording of the master output
+    programState.exporter = ExportUnit(programState);
+    programState.recorder = RecorderUnit(audio);
+
+    // Initialize autopilot, the seeded session and UI
     const autoPilot = AutoPilot(programState);
-    const ui = UI(audio.master.analyser);
+    programState.autoPilot = autoPilot;
+    programState.session = SessionUnit(programState, autoPilot);
+    const ui = UI(audio.master.analyser, programState);
     
     // Add UI to document
     document.body.append(ui);
 
+    // Everything is wired up, start scheduling
+    clock.start();
+
     // console.log('Starting with program state:', programState);
     return programState;
 }
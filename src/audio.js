@@ -1,4 +1,4 @@
-import { biRnd } from "./math.js";
+import { biRnd, randomStream } from "./math.js";
 
 // Note lookup tables for MIDI conversion
 const lookupTable = new Map();
@@ -69,15 +69,48 @@ function pitch(note) {
     }
 }
 
+// Waveshaper curves by type, created on first use
+const driveCurves = new Map();
+
+/**
+ * Creates a waveshaper transfer curve
+ * @param {string} type - Curve type: "soft", "hard", "tube" or "fold"
+ * @returns {Float32Array} Curve mapping input in [-1, 1] to output
+ */
+function driveCurve(type) {
+    if (!driveCurves.has(type)) {
+        const curve = new Float32Array(4096);
+        for (let i = 0; i < curve.length; i++) {
+            const x = (i / (curve.length - 1)) * 2 - 1;
+            if (type === "hard") {
+                // Linear until it hits the rails
+                curve[i] = Math.max(-1, Math.min(1, 2 * x));
+            } else if (type === "tube") {
+                // Asymmetric saturation for even harmonics
+                curve[i] = x >= 0 ? Math.tanh(3 * x) / Math.tanh(3) : Math.tanh(1.5 * x) / Math.tanh(1.5);
+            } else if (type === "fold") {
+                // Wavefolding, loud peaks fold back down
+                curve[i] = Math.sin(2.5 * Math.PI * x);
+            } else {
+                // Soft clip
+                curve[i] = Math.tanh(2.5 * x) / Math.tanh(2.5);
+            }
+        }
+        driveCurves.set(type, curve);
+    }
+    return driveCurves.get(type);
+}
+
 /**
  * Creates the main audio context and provides audio utilities
  * @param {AudioContext} [au] - Optional audio context
+ * @param {Function} [random] - Source of random numbers for noise and panning, the session's "sound" stream by default
  * @returns {Object} Audio utilities and context
  */
-function Audio(au = new (window.AudioContext || window.webkitAudioContext)()) {
+function Audio(au = new (window.AudioContext || window.webkitAudioContext)(), random = randomStream("sound")) {
     /**
      * Creates the master channel with gain and limiter
-     * @returns {Object} Master channel with input gain and analyzer
+     * @returns {Object} Master channel with input gain, limited output and analyzer
      */
     function masterChannel() {
         const gain = au.createGain();
@@ -93,11 +126,18 @@ function Audio(au = new (window.AudioContext || window.webkitAudioContext)()) {
         analyser.fftSize = 2048;
         limiter.connect(analyser);
 
-        gain.connect(limiter);
+        // Fades in and out around pauses, apart from the volume set on the input gain
+        const fade = au.createGain();
+        fade.gain.value = 1.0;
+
+        gain.connect(fade);
+        fade.connect(limiter);
         limiter.connect(au.destination);
 
         return {
             in: gain,
+            out: limiter,
+            fade,
             analyser
         };
     }
@@ -120,7 +160,7 @@ function Audio(au = new (window.AudioContext || window.webkitAudioContext)()) {
             const offsetParam = gain.gain;
             src.loop = true;
             src.connect(gain);
-            return Object.assign(gain, {offset: offsetParam, start: () => src.start()});
+            return Object.assign(gain, {offset: offsetParam, start: () => src.start(), stop: () => src.stop()});
         }
     }
 
@@ -137,33 +177,74 @@ function Audio(au = new (window.AudioContext || window.webkitAudioContext)()) {
 
     const master = masterChannel();
 
+    // Length of the fades around a pause, in seconds
+    const pauseFade = 0.03;
+
     /**
-     * Creates a delay for timing purposes
-     * @param {number} s - Seconds to delay
-     * @returns {Promise<void>} Promise that resolves after delay
+     * Fades the master out and suspends the context once it is silent
+     * The output, and any recording of it, ends on silence instead of jumping
+     * @returns {Promise} Resolves once the context is suspended
      */
-    function time(s) {
-        return new Promise(resolve => setTimeout(() => resolve(), s * 1000));
+    async function suspend() {
+        const now = au.currentTime;
+        master.fade.gain.cancelScheduledValues(now);
+        master.fade.gain.setValueAtTime(master.fade.gain.value, now);
+        master.fade.gain.linearRampToValueAtTime(0, now + pauseFade);
+        await new Promise(resolve => setTimeout(resolve, pauseFade * 1000 + 20));
+        await au.suspend();
+    }
+
+    /**
+     * Resumes the context, fading the master back in from silence
+     * @returns {Promise} Resolves once the context is running
+     */
+    async function resume() {
+        await au.resume();
+        const now = au.currentTime;
+        master.fade.gain.cancelScheduledValues(now);
+        master.fade.gain.setValueAtTime(0, now);
+        master.fade.gain.linearRampToValueAtTime(1, now + pauseFade);
+    }
+
+    // AudioWorklet modules already added to the context, by URL
+    const worklets = new Map();
+
+    /**
+     * Adds an AudioWorklet module to the context, once per module
+     * @param {string} url - URL of the worklet module
+     * @returns {Promise<void>} Promise that resolves once the module is loaded
+     */
+    function loadWorklet(url) {
+        if (!worklets.has(url)) {
+            worklets.set(url, au.audioWorklet.addModule(url));
+        }
+        return worklets.get(url);
     }
 
     /**
      * Creates a simple tone with envelope
+     * The whole envelope is scheduled up front, so tones play sample accurately in both
+     * live and offline contexts
      * @param {number} pitch - Frequency in Hz
      * @param {number} attack - Attack time in seconds
      * @param {number} sustain - Sustain time in seconds
      * @param {number} release - Release time in seconds
      * @param {number} [pan=0.0] - Stereo panning (-1 to 1)
      * @param {AudioNode} [destination=master.in] - Output destination
+     * @param {number} [start=au.currentTime] - Audio context time at which the tone starts
+     * @param {number} [level=0.1] - Peak gain of the tone
+     * @param {number} [brightness=4] - Filter cutoff as a multiple of the pitch
      */
-    async function tone(pitch, attack, sustain, release, pan = 0.0, destination = master.in) {
+    function tone(pitch, attack, sustain, release, pan = 0.0, destination = master.in, start = au.currentTime, level = 0.1, brightness = 4) {
+        const end = start + attack + sustain;
+
         const osc = au.createOscillator();
         osc.type = "sawtooth";
         osc.frequency.value = pitch;
-        osc.start();
 
         const filter = au.createBiquadFilter();
         filter.type = "lowpass";
-        filter.frequency.value = pitch * 4;
+        filter.frequency.value = pitch * brightness;
         filter.Q.value = 5;
 
         const gain = au.createGain();
@@ -180,31 +261,55 @@ function Audio(au = new (window.AudioContext || window.webkitAudioContext)()) {
         gain.connect(panner);
         panner.connect(destination);
 
-        gain.gain.linearRampToValueAtTime(0.1, au.currentTime + attack);
+        gain.gain.setValueAtTime(0, start);
+        gain.gain.linearRampToValueAtTime(level, start + attack);
+        gain.gain.setValueAtTime(level, end);
+        gain.gain.linearRampToValueAtTime(0, end + release);
+        filter.frequency.setValueAtTime(pitch * brightness, end);
+        filter.frequency.linearRampToValueAtTime(Math.max(pitch/2, 400), end + release);
 
-        await time(sustain + attack);
-        gain.gain.setValueAtTime(0.1, au.currentTime);
-        gain.gain.linearRampToValueAtTime(0, au.currentTime + release);
-        filter.frequency.linearRampToValueAtTime(Math.max(pitch/2, 400), au.currentTime + release);
-
-        await time(release + 0.01);
-        osc.stop(au.currentTime);
-        panner.disconnect();
+        osc.onended = () => panner.disconnect();
+        osc.start(start);
+        osc.stop(end + release + 0.01);
     }
 
     /**
      * Creates a simple tone synthesizer
+     * Parameters are plain values read on every note, shaped like AudioParams
      * @param {number} attack - Attack time in seconds
      * @param {number} sustain - Sustain time in seconds
      * @param {number} release - Release time in seconds
      * @param {AudioNode} [destination=master.in] - Output destination
-     * @returns {Object} Synth with play method
+     * @returns {Object} Synth with play method and params (attack, release, brightness, level)
      */
     function SimpleToneSynth(attack, sustain, release, destination = master.in) {
-        function play(note) {
-            tone(pitch(note), attack, sustain, release, biRnd(), destination);
+        const params = {
+            attack: { value: attack },
+            release: { value: release },
+            brightness: { value: 4 },
+            level: { value: 0.1 }
+        };
+
+        /**
+         * Plays a note
+         * @param {string|number} note - Note as text or MIDI number
+         * @param {number} [time=au.currentTime] - Audio context time at which the note starts
+         * @param {number} [length=sustain] - Sustain time in seconds
+         */
+        function play(note, time = au.currentTime, length = sustain) {
+            tone(
+                pitch(note),
+                params.attack.value,
+                length,
+                params.release.value,
+                biRnd(random),
+                destination,
+                time,
+                params.level.value,
+                params.brightness.value
+            );
         }
-        return { play };
+        return { play, params };
     }
 
     /**
@@ -213,7 +318,7 @@ function Audio(au = new (window.AudioContext || window.webkitAudioContext)()) {
      * @param {number} feedback - Feedback amount (0-1)
      * @param {number} wet - Wet/dry mix (0-1)
      * @param {AudioNode} [destination=master.in] - Output destination
-     * @returns {Object} Delay with controls
+     * @returns {Object} Delay with insert and send inputs and controls
      */
     function DelayInsert(time, feedback, wet, destination = master.in) {
         const delayNode = au.createDelay(1);
@@ -230,27 +335,290 @@ function Audio(au = new (window.AudioContext || window.webkitAudioContext)()) {
         synthOut.gain.value = 1.0;
         synthOut.connect(delayNode);
         synthOut.connect(destination);
+        // Send input feeding the delay only, for use as an effect bus
+        const sendIn = au.createGain();
+        sendIn.gain.value = 1.0;
+        sendIn.connect(delayNode);
         return {
             in: synthOut,
+            send: sendIn,
             feedback: feedbackGain.gain,
             wet: delayGain.gain,
             delayTime: delayNode.delayTime
         };
     }
 
+    /**
+     * Creates a ducking bus whose gain dips on demand, for sidechain pumping
+     * @param {AudioNode} [destination=master.in] - Output destination
+     * @returns {Object} Ducker with input node and duck method
+     */
+    function Ducker(destination = master.in) {
+        const bus = au.createGain();
+        bus.gain.value = 1.0;
+        bus.connect(destination);
+
+        /**
+         * Dips the bus gain and lets it recover
+         * @param {number} time - Audio context time the dip starts at
+         * @param {number} depth - How far the gain dips, 0 to 1
+         * @param {number} attack - Time to reach the dip, in seconds
+         * @param {number} release - Time to recover, in seconds
+         */
+        function duck(time, depth, attack, release) {
+            if (bus.gain.cancelAndHoldAtTime) {
+                bus.gain.cancelAndHoldAtTime(time);
+            } else {
+                bus.gain.cancelScheduledValues(time);
+            }
+            bus.gain.setTargetAtTime(1.0 - depth, time, attack / 3);
+            bus.gain.setTargetAtTime(1.0, time + attack, release / 3);
+        }
+
+        return {
+            in: bus,
+            duck
+        };
+    }
+
+    /**
+     * Creates a mixer channel strip with level, stereo pan, post-fader sends and a peak meter
+     * @param {AudioNode} [out=master.in] - Output destination
+     * @param {AudioNode[]} [sends=[]] - Inputs of the send buses, one send level each
+     * @returns {Object} Strip with input node, level, pan and send params, a peak reading and disconnect
+     */
+    function ChannelStrip(out = master.in, sends = []) {
+        const input = au.createGain();
+        input.gain.value = 1.0;
+
+        const fader = au.createGain();
+        fader.gain.value = 1.0;
+
+        const panner = au.createStereoPanner();
+        panner.pan.value = 0.0;
+
+        const meter = au.createAnalyser();
+        meter.fftSize = 256;
+        const meterData = new Float32Array(meter.fftSize);
+
+        input.connect(fader);
+        fader.connect(panner);
+        panner.connect(out);
+        panner.connect(meter);
+
+        const sendLevels = sends.map(bus => {
+            const send = au.createGain();
+            send.gain.value = 0.0;
+            fader.connect(send);
+            send.connect(bus);
+            return send.gain;
+        });
+
+        /**
+         * Reads the current peak level
+         * @returns {number} Peak absolute sample value of the latest block
+         */
+        function peak() {
+            meter.getFloatTimeDomainData(meterData);
+            let max = 0;
+            for (let i = 0; i < meterData.length; i++) {
+                max = Math.max(max, Math.abs(meterData[i]));
+            }
+            return max;
+        }
+
+        /**
+         * Takes the strip out of the graph
+         */
+        function disconnect() {
+            input.disconnect();
+            fader.disconnect();
+            panner.disconnect();
+        }
+
+        return {
+            in: input,
+            level: fader.gain,
+            pan: panner.pan,
+            sends: sendLevels,
+            peak,
+            disconnect
+        };
+    }
+
+    /**
+     * Generates a stereo reverb impulse response from decaying, darkening noise
+     * @param {string} type - Space to model: "room", "plate" or "hall"
+     * @param {number} size - Relative size of the space, 0 to 1
+     * @returns {AudioBuffer} Impulse response for a ConvolverNode
+     */
+    function impulseResponse(type, size) {
+        const spaces = {
+            room: { length: 0.3 + size, attack: 0.005, curve: 4, brightness: 0.5 },
+            plate: { length: 0.8 + 2 * size, attack: 0.0, curve: 3, brightness: 0.9 },
+            hall: { length: 1.5 + 3.5 * size, attack: 0.03, curve: 2.5, brightness: 0.3 }
+        };
+        const space = spaces[type] || spaces.plate;
+
+        const length = Math.ceil(space.length * au.sampleRate);
+        const attack = Math.max(1, space.attack * au.sampleRate);
+        const buffer = au.createBuffer(2, length, au.sampleRate);
+
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const data = buffer.getChannelData(c);
+            let filtered = 0;
+            for (let i = 0; i < length; i++) {
+                const t = i / length;
+                // One-pole lowpass closing over time, so the tail gets darker
+                filtered += (space.brightness * (1 - t) + 0.05) * (biRnd(random) - filtered);
+                data[i] = filtered * Math.pow(1 - t, space.curve) * Math.min(1, i / attack);
+            }
+        }
+        return buffer;
+    }
+
+    /**
+     * Creates a reverb send bus: pre-delay, convolution, damping and return level
+     * @param {AudioNode} [destination=master.in] - Output destination
+     * @returns {Object} Reverb with send input, controls and impulse response selection
+     */
+    function ReverbSend(destination = master.in) {
+        const sendIn = au.createGain();
+        sendIn.gain.value = 1.0;
+
+        const preDelay = au.createDelay(0.5);
+        preDelay.delayTime.value = 0.02;
+
+        const convolver = au.createConvolver();
+        convolver.buffer = impulseResponse("plate", 0.5);
+
+        const damping = au.createBiquadFilter();
+        damping.type = "lowpass";
+        damping.frequency.value = 6000;
+
+        const wetGain = au.createGain();
+        wetGain.gain.value = 0.5;
+
+        sendIn.connect(preDelay);
+        preDelay.connect(convolver);
+        convolver.connect(damping);
+        damping.connect(wetGain);
+        wetGain.connect(destination);
+
+        return {
+            send: sendIn,
+            setImpulse: (type, size) => convolver.buffer = impulseResponse(type, size),
+            preDelay: preDelay.delayTime,
+            damping: damping.frequency,
+            wet: wetGain.gain
+        };
+    }
+
+    /**
+     * Creates a distortion insert: drive into a waveshaper, a tone filter and a dry/wet mix
+     * @param {AudioNode} [out=master.in] - Output destination
+     * @returns {Object} Insert with input node, params (drive, tone, mix), curve selection and disposal
+     */
+    function DriveInsert(out = master.in) {
+        const input = au.createGain();
+        input.gain.value = 1.0;
+
+        const preGain = au.createGain();
+        preGain.gain.value = 4;
+
+        const shaper = au.createWaveShaper();
+        shaper.curve = driveCurve("soft");
+        shaper.oversample = "4x";
+
+        const toneFilter = au.createBiquadFilter();
+        toneFilter.type = "lowpass";
+        toneFilter.frequency.value = 3000;
+
+        // Brings the clipped signal back near the level of the clean voice
+        const makeup = au.createGain();
+        makeup.gain.value = 0.2;
+
+        // The mix source sets the wet gain, and through an inverter the dry gain to 1 - mix
+        const mix = constantSourceCompatible();
+        mix.start();
+        mix.offset.value = 0.0;
+        const wet = au.createGain();
+        wet.gain.value = 0.0;
+        const dry = au.createGain();
+        dry.gain.value = 1.0;
+        const invert = au.createGain();
+        invert.gain.value = -1.0;
+        mix.connect(wet.gain);
+        mix.connect(invert);
+        invert.connect(dry.gain);
+
+        input.connect(dry);
+        input.connect(preGain);
+        preGain.connect(shaper);
+        shaper.connect(toneFilter);
+        toneFilter.connect(makeup);
+        makeup.connect(wet);
+        dry.connect(out);
+        wet.connect(out);
+
+        return {
+            in: input,
+            setCurve: type => shaper.curve = driveCurve(type),
+            // Stops the mix source, which would otherwise run on after the voice is gone
+            dispose: () => mix.stop(),
+            params: {
+                drive: preGain.gain,
+                tone: toneFilter.frequency,
+                mix: mix.offset
+            }
+        };
+    }
+
+    // Whether the ladder filter worklet is available for new synths
+    let ladderFilterLoaded = false;
+
+    /**
+     * Loads the ladder filter AudioWorklet used by synths created afterwards
+     * Synths fall back to a biquad lowpass when AudioWorklet isn't available
+     * @returns {Promise<boolean>} Whether the ladder filter is available
+     */
+    async function loadLadderFilter() {
+        try {
+            await loadWorklet(new URL('./worklets/ladder-processor.js', import.meta.url).href);
+            ladderFilterLoaded = true;
+        } catch (e) {
+            console.warn('Ladder filter unavailable, using the biquad filter', e);
+            ladderFilterLoaded = false;
+        }
+        return ladderFilterLoaded;
+    }
+
     /**
      * Creates a TB-303 style synthesizer
+     * Filters through the 4-pole ladder worklet once loadLadderFilter has succeeded,
+     * through a biquad lowpass otherwise
      * @param {OscillatorType} [type="sawtooth"] - Oscillator type
      * @param {AudioNode} [out=master.in] - Output destination
-     * @returns {Object} Synth with note control and parameters
+     * @returns {Object} Synth with note control, disposal, drive curve selection and parameters
      */
     function ThreeOh(type = "sawtooth", out = master.in) {
-        const filter = au.createBiquadFilter();
-        filter.type = "lowpass";
-        filter.Q.value = 20;
-        filter.frequency.value = 300;
-        const pResonance = filter.Q;
-        const pCutoff = filter.frequency;
+        const filter = ladderFilterLoaded ?
+            new AudioWorkletNode(au, 'ladder-processor', {
+                numberOfInputs: 1,
+                numberOfOutputs: 1,
+                outputChannelCount: [1]
+            }) :
+            au.createBiquadFilter();
+        if (!ladderFilterLoaded) {
+            filter.type = "lowpass";
+        }
+        const pResonance = ladderFilterLoaded ? filter.parameters.get('resonance') : filter.Q;
+        const pCutoff = ladderFilterLoaded ? filter.parameters.get('cutoff') : filter.frequency;
+        const pDetune = ladderFilterLoaded ? filter.parameters.get('detune') : filter.detune;
+        // Only the ladder filter responds to accents
+        const pAccent = ladderFilterLoaded ? filter.parameters.get('accent') : null;
+        pResonance.value = 20;
+        pCutoff.value = 300;
 
         const decayTimeNode = constantSourceCompatible();
         decayTimeNode.start();
@@ -266,7 +634,7 @@ function Audio(au = new (window.AudioContext || window.webkitAudioContext)()) {
         scaleNode.gain.value = 4000;
         const pEnvMod = scaleNode.gain;
         env.connect(scaleNode);
-        scaleNode.connect(filter.detune);
+        scaleNode.connect(pDetune);
 
         const osc = au.createOscillator();
         osc.type = type;
@@ -276,41 +644,83 @@ function Audio(au = new (window.AudioContext || window.webkitAudioContext)()) {
         const vca = au.createGain();
         vca.gain.value = 0.0;
 
+        const drive = DriveInsert(out);
+
         osc.connect(vca);
         vca.connect(filter);
-        filter.connect(out);
+        filter.connect(drive.in);
 
-        function noteOn(note, accent = false, glide = false) {
-            if (accent) {
-                env.offset.cancelScheduledValues(au.currentTime);
-                env.offset.setValueAtTime(1.0, au.currentTime);
-                env.offset.exponentialRampToValueAtTime(0.01, au.currentTime + pDecay.value/3);
-            } else {
-                env.offset.cancelScheduledValues(au.currentTime);
-                env.offset.setValueAtTime(1.0, au.currentTime);
-                env.offset.exponentialRampToValueAtTime(0.01, au.currentTime + pDecay.value);
+        /**
+         * Starts a note
+         * A slid note keeps the gate of the held note open: the pitch glides to the new
+         * note while the filter envelope and amplitude carry on without a retrigger,
+         * an accent on it still lifts the filter and the level
+         * @param {string} note - Note in format [A-G][#]?[0-8]
+         * @param {boolean} [accent=false] - Whether the note is accented
+         * @param {boolean} [glide=false] - Whether the note slides from the held note
+         * @param {number} [time=au.currentTime] - Audio context time at which the note starts
+         */
+        function noteOn(note, accent = false, glide = false, time = au.currentTime) {
+            const frequency = midiNoteToFrequency(textNoteToNumber(note));
+            osc.frequency.cancelScheduledValues(time);
+            if (glide) {
+                osc.frequency.setTargetAtTime(frequency, time, 0.02);
+                // An accented slide still gets its accent: the filter and level lift without a new attack
+                if (pAccent) {
+                    pAccent.setValueAtTime(accent ? 1.0 : 0.0, time);
+                }
+                if (accent) {
+                    vca.gain.cancelScheduledValues(time);
+                    vca.gain.setTargetAtTime(0.2, time, 0.005);
+                    vca.gain.setTargetAtTime(0.1, time + 0.02, 0.06);
+                }
+                return;
+            }
+            osc.frequency.setTargetAtTime(frequency, time, 0.002);
+
+            env.offset.cancelScheduledValues(time);
+            env.offset.setValueAtTime(1.0, time);
+            env.offset.exponentialRampToValueAtTime(0.01, time + (accent ? pDecay.value / 3 : pDecay.value));
+            if (pAccent) {
+                pAccent.setValueAtTime(accent ? 1.0 : 0.0, time);
             }
-            osc.frequency.cancelScheduledValues(au.currentTime);
-            osc.frequency.setTargetAtTime(midiNoteToFrequency(textNoteToNumber(note)), au.currentTime, glide ? 0.02 : 0.002);
-            vca.gain.cancelScheduledValues(au.currentTime);
-            vca.gain.setValueAtTime(accent ? 0.2 : 0.15, au.currentTime);
-            vca.gain.linearRampToValueAtTime(0.1, au.currentTime + 0.2);
+            vca.gain.cancelScheduledValues(time);
+            vca.gain.setValueAtTime(accent ? 0.2 : 0.15, time);
+            vca.gain.linearRampToValueAtTime(0.1, time + 0.2);
             trigger();
         }
 
-        function noteOff() {
-            vca.gain.cancelScheduledValues(au.currentTime);
-            vca.gain.setTargetAtTime(0.0, au.currentTime, 0.01);
+        /**
+         * Releases the current note
+         * @param {number} [time=au.currentTime] - Audio context time at which the note is released
+         */
+        function noteOff(time = au.currentTime) {
+            vca.gain.cancelScheduledValues(time);
+            vca.gain.setTargetAtTime(0.0, time, 0.01);
+        }
+
+        /**
+         * Stops the synth's sources for good
+         */
+        function dispose() {
+            [osc, env, decayTimeNode].forEach(source => source.stop());
+            drive.dispose();
+            filter.disconnect();
         }
 
         return {
             noteOn,
             noteOff,
+            dispose,
+            setDriveCurve: drive.setCurve,
             params: {
                 cutoff: pCutoff,
                 resonance: pResonance,
                 envMod: pEnvMod,
-                decay: pDecay
+                decay: pDecay,
+                drive: drive.params.drive,
+                driveTone: drive.params.tone,
+                driveMix: drive.params.mix
             }
         };
     }
@@ -347,43 +757,64 @@ function Audio(au = new (window.AudioContext || window.webkitAudioContext)()) {
     }
 
     /**
-     * Creates a sampler from an audio file
-     * @param {string} file - Path to audio file
+     * Creates a sampler from an audio file or an already decoded buffer
+     * @param {string|AudioBuffer} source - Path to audio file, or decoded audio
      * @returns {Promise<Object>} Sampler with play method
      */
-    async function Sampler(file) {
-        const sampleBuffer = await loadBuffer(file);
-        function play(gain = 0.4, decay = 1.0, out = master.in) {
+    async function Sampler(source) {
+        const sampleBuffer = typeof(source) === 'string' ? await loadBuffer(source) : source;
+        function play(gain = 0.4, decay = 1.0, out = master.in, time = au.currentTime) {
             const bufferSource = au.createBufferSource();
             bufferSource.buffer = sampleBuffer;
             bufferSource.loop = false;
 
             const gainNode = au.createGain();
-            gainNode.gain.setValueAtTime(gain, au.currentTime);
-            gainNode.gain.linearRampToValueAtTime(0.0, au.currentTime + decay);
+            gainNode.gain.setValueAtTime(gain, time);
+            gainNode.gain.linearRampToValueAtTime(0.0, time + decay);
 
             bufferSource.connect(gainNode);
             gainNode.connect(out);
-            bufferSource.start(au.currentTime);
+            bufferSource.start(time);
         }
         return { play };
     }
 
+    /**
+     * Creates one summing node per voice, feeding a shared destination or one destination each
+     * @param {AudioNode|AudioNode[]} out - Output destination, or one per voice
+     * @param {number} count - Number of voices
+     * @returns {GainNode[]} Summing node for each voice
+     */
+    function voiceOutputs(out, count) {
+        return Array.from({ length: count }, (_, i) => {
+            const sum = au.createGain();
+            sum.gain.value = 1.0;
+            sum.connect(Array.isArray(out) ? out[i] : out);
+            return sum;
+        });
+    }
+
     /**
      * Creates a drum machine from multiple samples
-     * @param {string[]} files - Array of paths to audio files
-     * @param {AudioNode} [out=master.in] - Output destination
+     * Each slot is either a path to an audio file, or an object with a file path or decoded
+     * buffer plus the gain and decay applied at full velocity
+     * @param {Array<string|{file?: string, buffer?: AudioBuffer, gain?: number, decay?: number}>} slots - Samples to play
+     * @param {AudioNode|AudioNode[]} [out=master.in] - Output destination, or one per slot
      * @returns {Promise<Object>} Drum machine with triggers
      */
-    async function SamplerDrumMachine(files, out = master.in) {
-        const sum = au.createGain();
-        sum.gain.value = 1.0;
-        sum.connect(out);
+    async function SamplerDrumMachine(slots, out = master.in) {
+        const sums = voiceOutputs(out, slots.length);
 
-        const promisedMachines = files.map(Sampler);
+        const settings = slots.map(slot => Object.assign(
+            { gain: 0.7, decay: 0.5 },
+            typeof(slot) === 'string' ? { file: slot } : slot
+        ));
+        const promisedMachines = settings.map(slot => Sampler(slot.buffer || slot.file));
         const samplers = await Promise.all(promisedMachines);
-        const mapped = samplers.map(sampler => ({
-            play: (vel) => sampler.play(0.7 * vel, vel * 0.5, sum)
+        // A hit fades out within its length, so the repeats of a ratchet don't smear into each other
+        const mapped = samplers.map((sampler, i) => ({
+            play: (vel, time, length = Infinity) =>
+                sampler.play(settings[i].gain * vel, Math.min(settings[i].decay * vel, length), sums[i], time)
         }));
 
         return {
@@ -391,14 +822,296 @@ function Audio(au = new (window.AudioContext || window.webkitAudioContext)()) {
         };
     }
 
+    // White noise shared by the noise based drum voices, created on first use
+    let noiseBuffer = null;
+
+    /**
+     * Creates a one second white noise source
+     * @returns {AudioBufferSourceNode} Noise source, not started
+     */
+    function noiseSource() {
+        if (!noiseBuffer) {
+            noiseBuffer = au.createBuffer(1, au.sampleRate, au.sampleRate);
+            const data = noiseBuffer.getChannelData(0);
+            for (let i = 0; i < data.length; i++) {
+                data[i] = biRnd(random);
+            }
+        }
+        const src = au.createBufferSource();
+        src.buffer = noiseBuffer;
+        return src;
+    }
+
+    /**
+     * Schedules a percussive envelope: instant attack, exponential decay
+     * @param {AudioParam} param - Parameter to shape
+     * @param {number} peak - Peak value
+     * @param {number} time - Audio context time of the attack
+     * @param {number} decay - Time to decay to silence, in seconds
+     */
+    function percussiveEnvelope(param, peak, time, decay) {
+        param.setValueAtTime(Math.max(peak, 0.001), time);
+        param.exponentialRampToValueAtTime(0.001, time + decay);
+    }
+
+    /**
+     * Creates a drum machine from oscillators, noise and filters, modeled loosely on the TR-909
+     * Drop-in replacement for SamplerDrumMachine, with triggers in the same order:
+     * bass drum, open hi-hat, closed hi-hat, snare drum
+     * @param {AudioNode|AudioNode[]} [out=master.in] - Output destination, or one per voice
+     * @returns {Object} Drum machine with triggers and per voice params (tune, decay, tone, snappy)
+     */
+    function SynthDrumMachine(out = master.in) {
+        const sums = voiceOutputs(out, 4);
+
+        // Plain values read on every trigger, shaped like AudioParams for a uniform contract
+        const value = v => ({ value: v });
+        const params = [
+            { tune: value(1), decay: value(0.5), tone: value(0.5) },                      // Bass Drum
+            { tune: value(1), decay: value(0.5), tone: value(0.5) },                      // Open Hi-hat
+            { tune: value(1), decay: value(0.5), tone: value(0.5) },                      // Closed Hi-hat
+            { tune: value(1), decay: value(0.5), tone: value(0.5), snappy: value(0.5) }   // Snare Drum
+        ];
+
+        /**
+         * Starts a source at the given time and disconnects its envelope once it ends
+         */
+        function fire(source, envelopeGain, time, length) {
+            source.onended = () => envelopeGain.disconnect();
+            source.start(time);
+            source.stop(time + length + 0.05);
+        }
+
+        // A hit decays within its length, so the repeats of a ratchet don't smear into each other
+        function bassDrum(vel, time, length) {
+            const p = params[0];
+            const base = 50 * p.tune.value;
+            const decay = Math.min(0.1 + p.decay.value, length);
+
+            // Sine body with a fast downward pitch sweep
+            const osc = au.createOscillator();
+            osc.type = "sine";
+            osc.frequency.setValueAtTime(base * 8, time);
+            osc.frequency.exponentialRampToValueAtTime(base, time + 0.04);
+            const body = au.createGain();
+            percussiveEnvelope(body.gain, 0.9 * vel, time, decay);
+            osc.connect(body);
+            body.connect(sums[0]);
+            fire(osc, body, time, decay);
+
+            // Short noise click on the attack, tone sets its level
+            const click = noiseSource();
+            const clickFilter = au.createBiquadFilter();
+            clickFilter.type = "highpass";
+            clickFilter.frequency.value = 3000;
+            const clickGain = au.createGain();
+            percussiveEnvelope(clickGain.gain, 0.3 * p.tone.value * vel, time, 0.01);
+            click.connect(clickFilter);
+            clickFilter.connect(clickGain);
+            clickGain.connect(sums[0]);
+            fire(click, clickGain, time, 0.01);
+        }
+
+        function hiHat(voice, vel, time, size, length) {
+            const p = params[voice];
+            const decay = Math.min(size * (0.2 + 2 * p.decay.value), length);
+
+            // Metallic cluster of detuned square waves, as on the 808/909 hats
+            const bandpass = au.createBiquadFilter();
+            bandpass.type = "bandpass";
+            bandpass.frequency.value = 6000 + 6000 * p.tone.value;
+            const highpass = au.createBiquadFilter();
+            highpass.type = "highpass";
+            highpass.frequency.value = 7000;
+            const gain = au.createGain();
+            percussiveEnvelope(gain.gain, 0.3 * vel, time, decay);
+            bandpass.connect(highpass);
+            highpass.connect(gain);
+            gain.connect(sums[voice]);
+
+            [205.3, 304.4, 369.6, 522.7, 540, 800].forEach(f => {
+                const osc = au.createOscillator();
+                osc.type = "square";
+                osc.frequency.value = f * p.tune.value;
+                osc.connect(bandpass);
+                fire(osc, gain, time, decay);
+            });
+
+            const hiss = noiseSource();
+            hiss.connect(bandpass);
+            fire(hiss, gain, time, decay);
+        }
+
+        function snareDrum(vel, time, length) {
+            const p = params[3];
+            const decay = Math.min(0.05 + 0.3 * p.decay.value, length);
+
+            // Two tuned oscillators for the body
+            const body = au.createGain();
+            percussiveEnvelope(body.gain, 0.6 * vel * (1 - 0.5 * p.snappy.value), time, decay * 0.6);
+            body.connect(sums[3]);
+            [180, 330].forEach(f => {
+                const osc = au.createOscillator();
+                osc.type = "triangle";
+                osc.frequency.setValueAtTime(f * p.tune.value * 1.5, time);
+                osc.frequency.exponentialRampToValueAtTime(f * p.tune.value, time + 0.02);
+                osc.connect(body);
+                fire(osc, body, time, decay);
+            });
+
+            // Filtered noise for the snares, snappy sets its level and tone its brightness
+            const snares = noiseSource();
+            const filter = au.createBiquadFilter();
+            filter.type = "highpass";
+            filter.frequency.value = 1000 + 4000 * p.tone.value;
+            const snaresGain = au.createGain();
+            percussiveEnvelope(snaresGain.gain, 0.6 * vel * p.snappy.value, time, decay);
+            snares.connect(filter);
+            filter.connect(snaresGain);
+            snaresGain.connect(sums[3]);
+            fire(snares, snaresGain, time, decay);
+        }
+
+        const triggers = [
+            { play: (vel, time = au.currentTime, length = Infinity) => bassDrum(vel, time, length) },
+            { play: (vel, time = au.currentTime, length = Infinity) => hiHat(1, vel, time, 0.4, length) },
+            { play: (vel, time = au.currentTime, length = Infinity) => hiHat(2, vel, time, 0.06, length) },
+            { play: (vel, time = au.currentTime, length = Infinity) => snareDrum(vel, time, length) }
+        ];
+
+        return {
+            triggers,
+            params
+        };
+    }
+
+    /**
+     * Creates a lossless recorder capturing the raw samples of a node
+     * Capture only advances while the context runs, so pauses leave no gap
+     * @param {AudioNode} [source=master.out] - Node to record
+     * @returns {Promise<Object>} Recorder with start and stop methods
+     */
+    async function PcmRecorder(source = master.out) {
+        await loadWorklet(new URL('./worklets/recorder-processor.js', import.meta.url).href);
+        const node = new AudioWorkletNode(au, 'recorder-processor', {
+            channelCount: 2,
+            channelCountMode: 'explicit'
+        });
+        source.connect(node);
+        // Keep the node pulled by the graph, it outputs silence
+        node.connect(au.destination);
+
+        let chunks = [[], []];
+        // Resolves stop once the processor has posted its last samples
+        let flushed = null;
+
+        node.port.onmessage = e => {
+            e.data.channels.forEach((channel, c) => chunks[c].push(channel));
+            if (e.data.flushed && flushed) {
+                flushed();
+                flushed = null;
+            }
+        };
+
+        function start() {
+            chunks = [[], []];
+            node.port.postMessage(true);
+        }
+
+        /**
+         * Stops recording, once the samples still on their way from the processor have arrived
+         * @returns {Promise<Float32Array[]>} Recorded samples for each channel
+         */
+        async function stop() {
+            await new Promise(resolve => {
+                flushed = resolve;
+                node.port.postMessage(false);
+            });
+            return chunks.map(channel => {
+                const samples = new Float32Array(channel.reduce((sum, chunk) => sum + chunk.length, 0));
+                let offset = 0;
+                for (let chunk of channel) {
+                    samples.set(chunk, offset);
+                    offset += chunk.length;
+                }
+                return samples;
+            });
+        }
+
+        return { start, stop };
+    }
+
+    /**
+     * Creates a recorder producing a compressed file through MediaRecorder
+     * The MediaRecorder is paused along with the context so pauses leave no gap
+     * @param {AudioNode} [source=master.out] - Node to record
+     * @returns {Object} Recorder with start and stop methods
+     */
+    function StreamRecorder(source = master.out) {
+        const destination = au.createMediaStreamDestination();
+        source.connect(destination);
+
+        const mimeType = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4']
+            .find(type => MediaRecorder.isTypeSupported(type));
+
+        let recorder = null;
+        let chunks = [];
+
+        au.addEventListener('statechange', () => {
+            if (!recorder) return;
+            if (au.state === 'running' && recorder.state === 'paused') {
+                recorder.resume();
+            } else if (au.state !== 'running' && recorder.state === 'recording') {
+                recorder.pause();
+            }
+        });
+
+        function start() {
+            chunks = [];
+            recorder = new MediaRecorder(destination.stream, mimeType ? { mimeType } : {});
+            recorder.ondataavailable = e => chunks.push(e.data);
+            recorder.start();
+            if (au.state !== 'running') {
+                recorder.pause();
+            }
+        }
+
+        /**
+         * Stops recording
+         * @returns {Promise<Blob>} The compressed recording
+         */
+        function stop() {
+            return new Promise(resolve => {
+                const current = recorder;
+                recorder = null;
+                current.onstop = () => resolve(new Blob(chunks, { type: current.mimeType }));
+                current.stop();
+            });
+        }
+
+        return { start, stop };
+    }
+
     return {
         tone,
         SimpleToneSynth,
         DelayInsert,
+        ReverbSend,
+        DriveInsert,
+        Ducker,
+        ChannelStrip,
         ThreeOh,
         kick,
         Sampler,
         SamplerDrumMachine,
+        SynthDrumMachine,
+        PcmRecorder,
+        StreamRecorder,
+        loadWorklet,
+        loadLadderFilter,
+        decodeAudioDataCompatible,
+        suspend,
+        resume,
         master,
         context: au
     };
@@ -33,18 +33,28 @@ function pressToStart(fn) {
         }
     }
 
-    function handlePauseAction() {
+    // Set while a pause or resume fades, so clicks in between are ignored
+    let fading = false;
+
+    async function handlePauseAction() {
         // console.log('Pause clicked, program state:', programState);
-        if (programState && programState.audioContext) {
+        if (programState && programState.audioContext && !fading) {
             // console.log('Audio context state:', programState.audioContext.state);
-            if (programState.audioContext.state === 'running') {
-                programState.audioContext.suspend();
-                programState.clock.stop();
-                pauseButton.textContent = '▶ Resume';
-            } else if (programState.audioContext.state === 'suspended') {
-                programState.audioContext.resume();
-                programState.clock.start();
-                pauseButton.textContent = '⏸ Pause';
+            fading = true;
+            // A failed suspend or resume must not leave the button ignoring clicks
+            try {
+                if (programState.audioContext.state === 'running') {
+                    // Fade out before suspending, so the output and recordings don't click
+                    await programState.pause();
+                    programState.clock.stop();
+                    pauseButton.textContent = '▶ Resume';
+                } else if (programState.audioContext.state === 'suspended') {
+                    await programState.resume();
+                    programState.clock.start();
+                    pauseButton.textContent = '⏸ Pause';
+                }
+            } finally {
+                fading = false;
             }
         }
     }
@@ -80,77 +90,167 @@ function repeat(seconds, fn) {
 }
 
 /**
- * Creates a musical clock that triggers callbacks at specified BPM and subdivision
+ * Offers a blob to the user as a file download
+ * @param {Blob} blob - The file contents
+ * @param {string} filename - Suggested file name
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.append(link);
+    link.click();
+    link.remove();
+    window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Creates a timer that keeps ticking when the tab is in the background
+ * Runs the interval inside a Web Worker, since browsers throttle main thread
+ * timers in hidden tabs, and falls back to window.setInterval without Worker support
+ * @param {number} ms - Interval between ticks in milliseconds
+ * @param {Function} fn - Function to execute on every tick
+ * @returns {Object} Ticker with start and stop methods
+ */
+function Ticker(ms, fn) {
+    let worker = null;
+    let intervalId = null;
+
+    try {
+        const source = `
+            let id = null;
+            onmessage = e => {
+                clearInterval(id);
+                id = e.data > 0 ? setInterval(() => postMessage(0), e.data) : null;
+            };`;
+        worker = new Worker(URL.createObjectURL(new Blob([source], { type: 'text/javascript' })));
+        worker.onmessage = () => fn();
+    } catch (e) {
+        worker = null;
+    }
+
+    return {
+        start: () => {
+            if (worker) {
+                worker.postMessage(ms);
+            } else if (intervalId === null) {
+                intervalId = window.setInterval(fn, ms);
+            }
+        },
+        stop: () => {
+            if (worker) {
+                worker.postMessage(0);
+            } else if (intervalId !== null) {
+                window.clearInterval(intervalId);
+                intervalId = null;
+            }
+        }
+    };
+}
+
+/**
+ * Creates a lookahead musical clock that schedules steps on the audio timeline
+ * A timer wakes up every few milliseconds and hands every step falling within the
+ * lookahead window to the bound callback together with its exact start time, so
+ * instruments can schedule sample-accurately regardless of timer jitter.
+ * Steps are reported a second time, through the playhead callback, once they are heard.
+ * @param {BaseAudioContext} context - Audio context whose timeline drives the clock
  * @param {number} bpm - Tempo in beats per minute
  * @param {number} [subdivision=4] - Number of steps per beat
  * @param {number} [shuffle=0] - Amount of swing/shuffle to apply (0-1)
- * @returns {Object} Clock controller with bind and setBpm methods
+ * @returns {Object} Clock controller with bind, bindPlayhead, setBpm, nextStepTime, start, stop and reset methods
  */
-function Clock(bpm, subdivision = 4, shuffle = 0) {
+function Clock(context, bpm, subdivision = 4, shuffle = 0) {
+    // How far ahead of the playhead steps are scheduled, in seconds
+    const lookahead = 0.1;
+    // How often the scheduler wakes up, in milliseconds
+    const tickInterval = 25;
+
     let currentBpm = bpm;
     let n = 0;
+    let nextStepTime = 0;
     let fn = () => {};
-    const time = new Date().getTime();
-    let timeoutId = null;
-    let isRunning = true;
+    let playheadFn = () => {};
+    let isRunning = false;
+
+    // Steps that have been scheduled but not heard yet
+    const pending = [];
 
     /**
-     * Binds a new callback function to the clock
-     * @param {Function} newFn - New callback function
+     * Binds the scheduling callback, called ahead of time for every step
+     * @param {Function} newFn - Callback receiving (time, step, duration)
      */
     function bind(newFn) {
         fn = newFn;
     }
 
-    function scheduleNext(interval) {
-        if (timeoutId !== null) {
-            window.clearTimeout(timeoutId);
-        }
-        if (isRunning) {
-            timeoutId = window.setTimeout(step, interval);
-        }
+    /**
+     * Binds the playhead callback, called when a scheduled step is actually heard
+     * @param {Function} newFn - Callback receiving (time, step)
+     */
+    function bindPlayhead(newFn) {
+        playheadFn = newFn;
     }
 
     /**
-     * Executes a single clock step and schedules the next one
+     * Publishes steps reached by the playhead and schedules every step within the lookahead window
      * Applies shuffle by alternating between longer and shorter steps
      */
-    function step() {
+    function tick() {
+        const now = context.currentTime;
+
+        while (pending.length > 0 && pending[0].time <= now) {
+            const heard = pending.shift();
+            playheadFn(heard.time, heard.step);
+        }
+
         if (!isRunning) return;
-        
-        const t = new Date().getTime() - time;
-        fn(t, n);
-        
-        // Apply shuffle by modifying timing of even/odd steps
-        const shuffleFactor = n % 2 === 0 ? 1 + shuffle : 1 - shuffle;
-        n++;
 
-        // Calculate next step interval with shuffle
-        const interval = shuffleFactor * (60000 / currentBpm) / subdivision;
-        scheduleNext(interval);
+        // Never schedule in the past, e.g. on first start
+        if (nextStepTime < now) {
+            nextStepTime = now;
+        }
+
+        while (nextStepTime < now + lookahead) {
+            // Apply shuffle by modifying timing of even/odd steps
+            const shuffleFactor = n % 2 === 0 ? 1 + shuffle : 1 - shuffle;
+            const duration = shuffleFactor * (60 / currentBpm) / subdivision;
+
+            fn(nextStepTime, n, duration);
+            pending.push({ time: nextStepTime, step: n });
+
+            nextStepTime += duration;
+            n++;
+        }
     }
 
+    const ticker = Ticker(tickInterval, tick);
+
     return {
         bind,
+        bindPlayhead,
         setBpm: (bpm) => {
+            // Takes effect from the next scheduled step
             currentBpm = bpm;
-            // Reschedule with new BPM if running
-            if (isRunning) {
-                scheduleNext((60000 / bpm) / subdivision);
-            }
         },
+        // Start time of the first step that has not been scheduled yet
+        nextStepTime: () => Math.max(nextStepTime, context.currentTime),
         stop: () => {
             isRunning = false;
-            if (timeoutId !== null) {
-                window.clearTimeout(timeoutId);
-                timeoutId = null;
-            }
+            ticker.stop();
         },
         start: () => {
             if (!isRunning) {
                 isRunning = true;
-                scheduleNext((60000 / currentBpm) / subdivision);
+                ticker.start();
+                tick();
             }
+        },
+        reset: () => {
+            // Count from step 0 again, steps already scheduled are forgotten
+            n = 0;
+            pending.length = 0;
         }
     };
 }
@@ -158,5 +258,6 @@ function Clock(bpm, subdivision = 4, shuffle = 0) {
 export {
     pressToStart,
     repeat,
+    downloadBlob,
     Clock
 };
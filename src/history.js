@@ -0,0 +1,126 @@
+import { genericParameter } from "./interface.js";
+
+// Prefix of the localStorage keys holding starred patterns
+const storagePrefix = "endless-banger:favourites:";
+
+/**
+ * Reads the favourites stored under a key
+ * @param {string} key - Storage key, without the prefix
+ * @returns {Array} Favourites as {name, value} objects, none if storage is unavailable or unreadable
+ */
+function loadFavourites(key) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(storagePrefix + key));
+        return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+        console.warn('Could not load favourites', e);
+        return [];
+    }
+}
+
+/**
+ * Creates a history of the values a pattern parameter has held
+ * Every new value is kept, up to the history's size with the oldest dropped first, and
+ * can be stepped back and forth through. Starred values are kept as favourites in
+ * localStorage, shared by every history with the same key. While locked the pattern is
+ * pinned: anything respecting the lock, like AutoPilot, leaves it alone.
+ * @param {Object} pattern - Parameter holding the pattern, a note set or a progression
+ * @param {string} key - Storage key of the favourites, e.g. the instrument type
+ * @param {Object} [options]
+ * @param {number} [options.size=50] - Number of values kept
+ * @param {Object} [options.locked] - Lock parameter, for a unit that checks its own lock
+ * @returns {Object} History with position, favourites and lock, and navigation functions
+ */
+function PatternHistory(pattern, key, { size = 50, locked = genericParameter("Lock", false) } = {}) {
+    // Values held, oldest first, and the index of the current one
+    let entries = [];
+    const position = genericParameter("History Position", -1);
+    const count = genericParameter("History Size", 0);
+
+    const favourites = genericParameter("Favourites", loadFavourites(key));
+
+    // Set while the history itself changes the pattern, so it isn't recorded again
+    let recalling = false;
+
+    // The value the pattern has now is a placeholder, values are recorded from the next one on
+    let created = false;
+    pattern.subscribe(value => {
+        if (!created || recalling || value.length === 0) return;
+        entries = [...entries, value].slice(-size);
+        count.value = entries.length;
+        position.value = entries.length - 1;
+    });
+    created = true;
+
+    /**
+     * Plays a value without recording it
+     * @param {*} value - Pattern to play
+     */
+    function recall(value) {
+        recalling = true;
+        pattern.value = value;
+        recalling = false;
+    }
+
+    /**
+     * Goes to the previous value
+     */
+    function back() {
+        if (position.value > 0) {
+            position.value = position.value - 1;
+            recall(entries[position.value]);
+        }
+    }
+
+    /**
+     * Goes to the next value
+     */
+    function forward() {
+        if (position.value < entries.length - 1) {
+            position.value = position.value + 1;
+            recall(entries[position.value]);
+        }
+    }
+
+    /**
+     * Stars the current pattern, or unstars it if it already is a favourite
+     */
+    function star() {
+        const current = JSON.stringify(pattern.value);
+        const starred = favourites.value.some(f => JSON.stringify(f.value) === current);
+        favourites.value = starred ?
+            favourites.value.filter(f => JSON.stringify(f.value) !== current) :
+            [...favourites.value, { name: new Date().toLocaleString(), value: pattern.value }];
+        try {
+            localStorage.setItem(storagePrefix + key, JSON.stringify(favourites.value));
+        } catch (e) {
+            console.warn('Could not save favourites', e);
+        }
+    }
+
+    /**
+     * Plays a favourite, recording it as the newest value
+     * @param {number} index - Index into favourites
+     */
+    function recallFavourite(index) {
+        const favourite = favourites.value[index];
+        if (favourite) {
+            pattern.value = favourite.value;
+        }
+    }
+
+    return {
+        position,
+        count,
+        favourites,
+        locked,
+        back,
+        forward,
+        star,
+        recallFavourite
+    };
+}
+
+export {
+    PatternHistory
+};
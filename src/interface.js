@@ -2,10 +2,11 @@
  * Creates a generic parameter with a name and value
  * @param {string} name - The name of the parameter
  * @param {*} value - The initial value
- * @returns {Object} A parameter object with value, name, and subscribe functionality
+ * @returns {Object} A parameter object with value, name, subscribe and reset functionality
  */
 function genericParameter(name, value) {
     let listeners = [];
+    const initial = value;
     const state = { value };
     
     function subscribe(callback) {
@@ -19,9 +20,16 @@ function genericParameter(name, value) {
         }
     }
     
+    // Back to the initial value
+    function reset() {
+        state.value = initial;
+        publish();
+    }
+    
     return {
         name,
         subscribe,
+        reset,
         get value() { return state.value; },
         set value(v) { state.value = v; publish(); }
     };
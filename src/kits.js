@@ -0,0 +1,73 @@
+// IndexedDB database and object store holding the user's custom kits
+const databaseName = "endless-banger";
+const kitStoreName = "kits";
+
+/**
+ * Loads the built-in drum kit manifests
+ * Each manifest names a file plus default gain and decay for every slot, in the
+ * order bass drum, open hi-hat, closed hi-hat, snare drum
+ * @param {string} [indexUrl] - URL of the JSON list of manifest files
+ * @returns {Promise<Array>} Kit descriptors with slot files resolved to absolute URLs
+ */
+async function loadKitManifests(indexUrl = new URL("../kits/index.json", import.meta.url).href) {
+    const index = await (await fetch(indexUrl)).json();
+    return Promise.all(index.map(async file => {
+        const manifestUrl = new URL(file, indexUrl).href;
+        const manifest = await (await fetch(manifestUrl)).json();
+        return {
+            ...manifest,
+            slots: manifest.slots.map(slot => ({
+                ...slot,
+                file: new URL(slot.file, manifestUrl).href
+            }))
+        };
+    }));
+}
+
+/**
+ * Opens the database, creating the kit store on first use
+ * @returns {Promise<IDBDatabase>} The opened database
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(databaseName, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(kitStoreName, { keyPath: "id" });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Creates a persistent store for custom drum kits
+ * Kits are stored whole, including the raw audio data of user supplied slots
+ * @returns {Object} Store with list, save and remove methods
+ */
+function KitStore() {
+    /**
+     * Runs a single request against the kit store
+     * @param {IDBTransactionMode} mode - Transaction mode
+     * @param {Function} fn - Receives the object store and returns the request
+     * @returns {Promise<*>} The request's result
+     */
+    async function run(mode, fn) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const request = fn(db.transaction(kitStoreName, mode).objectStore(kitStoreName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    return {
+        list: () => run("readonly", store => store.getAll()),
+        save: kit => run("readwrite", store => store.put(kit)),
+        remove: id => run("readwrite", store => store.delete(id))
+    };
+}
+
+export {
+    loadKitManifests,
+    KitStore
+};
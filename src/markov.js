@@ -0,0 +1,136 @@
+// A step of a corpus line: "-" rest, "~" tie, or an interval with accent and slide flags
+const tokenPattern = /^(-|~|(-?\d+)([!/]*))$/;
+
+/**
+ * Parses a corpus of acid lines
+ * One pattern per line, one token per step separated by spaces: an interval in semitones
+ * above the root, "-" for a rest or "~" for a tie. Intervals may be followed by "!" for an
+ * accent and "/" for a slide into the next step. Everything after a "#" is a comment.
+ * @param {string} text - The corpus file's contents
+ * @returns {string[][]} Patterns as lists of tokens, flags in the order accent, slide
+ * @throws {Error} If a token can't be read or the corpus has no patterns
+ */
+function parseCorpus(text) {
+    const patterns = [];
+    text.split("\n").forEach((line, lineIndex) => {
+        const content = line.replace(/#.*/, "").trim();
+        if (content.length === 0) return;
+        patterns.push(content.split(/\s+/).map(token => {
+            const match = tokenPattern.exec(token);
+            if (!match) {
+                throw new Error(`Unreadable token "${token}" on line ${lineIndex + 1}`);
+            }
+            if (match[2] === undefined) return token;
+            return `${parseInt(match[2])}${match[3].includes("!") ? "!" : ""}${match[3].includes("/") ? "/" : ""}`;
+        }));
+    });
+    if (patterns.length === 0) {
+        throw new Error('The corpus has no patterns');
+    }
+    return patterns;
+}
+
+/**
+ * Reads a corpus token
+ * @param {string} token - Token from parseCorpus
+ * @returns {Object} Whether it is a rest or tie, and the interval, accent and slide of a note
+ */
+function readToken(token) {
+    if (token === "-" || token === "~") {
+        return { rest: token === "-", tie: token === "~" };
+    }
+    return {
+        interval: parseInt(token),
+        accent: token.includes("!"),
+        glide: token.includes("/")
+    };
+}
+
+/**
+ * Loads the bundled corpus of acid lines
+ * @param {string} [url] - URL of the corpus file
+ * @returns {Promise<string>} The corpus file's contents
+ */
+async function loadCorpus(url = new URL("../corpus/acid-lines.txt", import.meta.url).href) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Corpus could not be loaded: ${response.status}`);
+    }
+    return response.text();
+}
+
+/**
+ * Creates a first order Markov model of acid lines
+ * Learns which token follows which, both at each position within the beat and
+ * regardless of position. Sampling uses the positional transitions where the corpus
+ * has seen them and falls back to the positionless ones, then to plain token counts.
+ * Patterns loop, so the last step leads into the first.
+ * @param {string[][]} patterns - Patterns from parseCorpus
+ * @returns {Object} Model with a sample method
+ */
+function MarkovModel(patterns) {
+    // Counts of the tokens following each context, by context
+    const transitions = new Map();
+
+    function count(context, token) {
+        if (!transitions.has(context)) {
+            transitions.set(context, new Map());
+        }
+        const counts = transitions.get(context);
+        counts.set(token, (counts.get(token) || 0) + 1);
+    }
+
+    patterns.forEach(pattern => pattern.forEach((token, i) => {
+        const previous = pattern[(i + pattern.length - 1) % pattern.length];
+        count(`${previous} ${i % 4}`, token);
+        count(previous, token);
+        count(`* ${i % 4}`, token);
+        count("*", token);
+    }));
+
+    /**
+     * Picks a token weighted by its count
+     * @param {Map} counts - Counts by token
+     * @param {Function} random - Source of random numbers in [0, 1)
+     * @returns {string} The picked token
+     */
+    function pick(counts, random) {
+        let total = 0;
+        counts.forEach(c => total += c);
+        let r = random() * total;
+        for (const [token, c] of counts) {
+            r -= c;
+            if (r < 0) return token;
+        }
+        return counts.keys().next().value;
+    }
+
+    /**
+     * Samples a new line from the model
+     * @param {number} length - Number of steps
+     * @param {Function} random - Source of random numbers in [0, 1)
+     * @returns {string[]} Tokens of the new line
+     */
+    function sample(length, random) {
+        const tokens = [];
+        for (let i = 0; i < length; i++) {
+            const previous = tokens[i - 1];
+            const counts = previous === undefined ?
+                transitions.get(`* ${i % 4}`) :
+                transitions.get(`${previous} ${i % 4}`) || transitions.get(previous) || transitions.get("*");
+            tokens.push(pick(counts, random));
+        }
+        return tokens;
+    }
+
+    return {
+        sample
+    };
+}
+
+export {
+    parseCorpus,
+    readToken,
+    loadCorpus,
+    MarkovModel
+};
@@ -1,31 +1,116 @@
 /**
  * Generates a random integer between 0 (inclusive) and maxExcl (exclusive)
  * @param {number} maxExcl - The exclusive upper bound
+ * @param {Function} [random=Math.random] - Source of random numbers in [0, 1)
  * @returns {number} A random integer in the range [0, maxExcl)
  */
-function rndInt(maxExcl) {
-    return Math.floor(Math.random() * (maxExcl - 0.01));
+function rndInt(maxExcl, random = Math.random) {
+    return Math.floor(random() * (maxExcl - 0.01));
 }
 
 /**
  * Generates a random number between -1 and 1
+ * @param {Function} [random=Math.random] - Source of random numbers in [0, 1)
  * @returns {number} A random number in the range [-1, 1]
  */
-function biRnd() {
-    return Math.random() * 2 - 1;
+function biRnd(random = Math.random) {
+    return random() * 2 - 1;
 }
 
 /**
  * Randomly selects an element from an array
  * @param {Array} array - The array to choose from
+ * @param {Function} [random=Math.random] - Source of random numbers in [0, 1)
  * @returns {*} A random element from the array
  */
-function choose(array) {
-    return array[rndInt(array.length)];
+function choose(array, random = Math.random) {
+    return array[rndInt(array.length, random)];
+}
+
+/**
+ * Hashes a string into a 32-bit seed (FNV-1a)
+ * @param {string} text - The string to hash
+ * @returns {number} An unsigned 32-bit integer
+ */
+function hashSeed(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates a seeded pseudo random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Function returning numbers in [0, 1), a drop-in for Math.random
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Creates a new random session seed
+ * @returns {string} Six base 36 characters
+ */
+function newSeed() {
+    return Math.floor(Math.random() * Math.pow(36, 6)).toString(36).padStart(6, "0");
+}
+
+// Seed of the session and the named streams derived from it
+let sessionSeed = newSeed();
+const streams = new Map();
+
+/**
+ * Gets a named random stream of the session, e.g. "notes", "drums", "autopilot" or "wander"
+ * Every stream has its own sequence derived from the session seed, so drawing more
+ * numbers from one stream never changes what another one produces
+ * @param {string} name - Name of the stream
+ * @returns {Function} Function returning numbers in [0, 1), a drop-in for Math.random
+ */
+function randomStream(name) {
+    if (!streams.has(name)) {
+        let next = null;
+        const stream = () => next();
+        stream.restart = () => next = seededRandom(hashSeed(`${sessionSeed}:${name}`));
+        stream.restart();
+        streams.set(name, stream);
+    }
+    return streams.get(name);
+}
+
+/**
+ * Sets the session seed, restarting every stream from the beginning of its sequence
+ * @param {string} seed - The new seed, any text
+ */
+function seedSession(seed) {
+    sessionSeed = String(seed);
+    streams.forEach(stream => stream.restart());
+}
+
+/**
+ * Gets the session seed
+ * @returns {string} The seed every stream is derived from
+ */
+function currentSeed() {
+    return sessionSeed;
 }
 
 export {
     rndInt,
     biRnd,
     choose,
-};
\ No newline at end of file
+    hashSeed,
+    seededRandom,
+    newSeed,
+    randomStream,
+    seedSession,
+    currentSeed,
+};
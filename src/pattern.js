@@ -1,7 +1,9 @@
-import { midiNoteToText } from "./audio.js";
-import { choose, rndInt } from "./math.js";
+import { midiNoteToText, textNoteToNumber } from "./audio.js";
+import { choose, randomStream, rndInt } from "./math.js";
+import { MarkovModel, parseCorpus, readToken } from "./markov.js";
 import {
     genericParameter,
+    parameter,
     trigger
 } from "./interface.js";
 
@@ -17,174 +19,845 @@ const offsetChoices = [
     [0, 0, 0, 7, 12, 15, 17, 20, 24],
 ];
 
+// Scales the note generator can be constrained to, as intervals from the root
+const scales = {
+    minor: [0, 2, 3, 5, 7, 8, 10],
+    phrygian: [0, 1, 3, 5, 7, 8, 10],
+    dorian: [0, 2, 3, 5, 7, 9, 10],
+    harmonicMinor: [0, 2, 3, 5, 7, 8, 11],
+    chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]  // Chromatic acid, anything goes
+};
+
+// Pitch classes a key can be set to
+const keyNames = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+
+// Seven note modes the chords are stacked in, matched against the bassline's note set
+const modes = [
+    scales.minor,
+    scales.phrygian,
+    scales.dorian,
+    [0, 1, 4, 5, 7, 8, 10],  // Phrygian dominant
+    scales.harmonicMinor
+];
+
+// Chord progressions as scale degrees, starting from the root
+const progressionChoices = [
+    [0, 0, 5, 4],
+    [0, 5, 3, 4],
+    [0, 3, 0, 4],
+    [0, 6, 5, 6],
+    [0, 0, 0, 3],
+    [0, 2, 5, 4],
+    [0, 5, 0, 6]
+];
+
 /**
  * Creates a TB-303 style pattern generator
  * Generates melodic acid bassline patterns with note sets and variations
+ * @param {Function} [random] - Source of random numbers, the session's "notes" stream by default
  * @returns {Object} Pattern generator with note set and pattern creation methods
  */
-function ThreeOhGen() {
+function ThreeOhGen(random = randomStream("notes")) {
     // Initialize parameters
     const noteSet = genericParameter("note set", ['C1']);
     const newNotes = trigger("new note set", true);
-    const density = 1.0;
+
+    // Knobs shaping new patterns and note sets
+    const parameters = {
+        density: parameter("Note Density", [0, 1.5], 1.0),     // Scales the chance of a note on every step
+        accentRate: parameter("Accent Rate", [0, 1], 0.3),     // Chance of a note being accented
+        glideRate: parameter("Glide Rate", [0, 0.5], 0.1),     // Chance of a single slide, runs of slides are 1.5 times as likely
+        octaveRange: parameter("Octave Range", [1, 3], 2.5)    // Octaves the note set spans at most
+    };
+    const { density, accentRate, glideRate, octaveRange } = parameters;
+
+    // Key as a pitch class name, or "random" for a new one with every note set
+    const key = genericParameter("Key", "random");
+    // One of scales, or "classic" for the hand picked offset patterns in any key
+    const scale = genericParameter("Scale", "classic");
+
+    // "random" for the positional step probabilities, "markov" for lines sampled from the corpus
+    const generator = genericParameter("Generator", "random");
+    // Name of the corpus the Markov model learned from, and the model itself
+    const corpus = genericParameter("Corpus", "");
+    let model = null;
+
+    // A new key or scale is heard from the next note set on
+    key.subscribe(() => newNotes.value = true);
+    scale.subscribe(() => newNotes.value = true);
+
+    /**
+     * Picks offsets from a scale, weighted toward the root, fifth and octaves
+     * Spans two octaves and a bit, so lines keep jumping between octaves
+     * @param {number[]} intervals - The scale's intervals from the root
+     * @returns {number[]} Offsets from the root, the root first
+     */
+    function scaleOffsets(intervals) {
+        const pool = [];
+        [0, 12, 24].forEach(octave => intervals.forEach(interval => {
+            const offset = octave + interval;
+            if (offset > 27) return;
+            const weight =
+                interval === 0 ? (octave === 24 ? 2 : 4) :  // Root and octaves
+                interval === 7 ? 2 :                        // Fifths
+                octave === 24 ? 0 :                         // Nothing else up high
+                1;
+            for (let w = 0; w < weight; w++) pool.push(offset);
+        }));
+
+        // Repeated offsets are weighted the same way when the pattern picks from the set
+        const offsets = [0, 0];
+        const count = 3 + rndInt(7, random);
+        for (let i = 0; i < count; i++) {
+            offsets.push(choose(pool, random));
+        }
+        // Most sets jump to the octave
+        if (!offsets.includes(12) && random() < 0.8) {
+            offsets.push(12);
+        }
+        return offsets;
+    }
 
     /**
      * Changes the current note set to a new random set
-     * Based on a root note and selected offset pattern
+     * Based on a root note in the chosen key and an offset pattern, either a classic
+     * one or one built from the chosen scale
      */
     function changeNotes() {
-        const root = rndInt(15) + 16;
-        const offsets = choose(offsetChoices);
-        noteSet.value = offsets.map(o => midiNoteToText(o + root));
+        // Roots of a chosen key lie between E1 and D#2, within the range of random ones
+        const root = key.value === "random" ?
+            rndInt(15, random) + 16 :
+            16 + (keyNames.indexOf(key.value) + 8) % 12;
+        const offsets = scale.value === "classic" ?
+            choose(offsetChoices, random) :
+            scaleOffsets(scales[scale.value]);
+        // Offsets beyond the octave range fold down by octaves
+        const range = 12 * octaveRange.value;
+        noteSet.value = offsets.map(o => {
+            while (o >= range) o -= 12;
+            return midiNoteToText(o + root);
+        });
     }
 
     /**
-     * Creates a new 16-step pattern with notes, accents, and glides
-     * @returns {Array} Array of 16 slots with note, accent, and glide properties
+     * Creates a slot for a single step
+     * @param {string} note - Note to play, "-" for a rest
+     * @param {Object} [flags] - Accent, glide (slide into the next step) and tie (hold the previous note)
+     * @returns {Object} Slot with note, accent, glide, tie and gate properties
      */
-    function createPattern() {
+    function slot(note, { accent = false, glide = false, tie = false } = {}) {
+        return {
+            note,
+            accent,
+            glide,
+            tie,
+            gate: 0.3 + random() * 0.6  // Fraction of the step the note sounds for
+        };
+    }
+
+    /**
+     * Teaches the Markov generator a new corpus of acid lines
+     * @param {string} name - Name to show for the corpus
+     * @param {string} text - The corpus, in the format read by parseCorpus
+     * @throws {Error} If the corpus can't be read, the current one is kept then
+     */
+    function setCorpus(name, text) {
+        model = MarkovModel(parseCorpus(text));
+        corpus.value = name;
+    }
+
+    /**
+     * Creates a pattern from a line sampled from the Markov model
+     * Intervals land on the note of the note set closest to them, preferring the same
+     * pitch class in another octave over a different pitch class
+     * @param {number} length - Number of steps in the pattern
+     * @returns {Array} Array of slots with note, accent, glide, tie and gate properties
+     */
+    function sampleMarkovPattern(length) {
+        const root = textNoteToNumber(noteSet.value[0]);
+        const offsets = noteSet.value.map(note => textNoteToNumber(note) - root);
+        const distance = (offset, interval) => {
+            const pitchClass = Math.abs(((offset - interval) % 12 + 12) % 12);
+            return 100 * Math.min(pitchClass, 12 - pitchClass) + Math.abs(offset - interval);
+        };
+
+        const pattern = [];
+        model.sample(length, random).map(readToken).forEach(step => {
+            const previous = pattern[pattern.length - 1];
+            if (step.rest || (step.tie && (!previous || previous.note === "-"))) {
+                pattern.push(slot("-"));
+            } else if (step.tie) {
+                pattern.push(slot(previous.note, { tie: true }));
+            } else {
+                const closest = offsets.reduce((best, o, i) =>
+                    distance(o, step.interval) < distance(offsets[best], step.interval) ? i : best, 0);
+                pattern.push(slot(noteSet.value[closest], { accent: step.accent, glide: step.glide }));
+            }
+        });
+        return pattern;
+    }
+
+    /**
+     * Creates a new pattern with notes, accents, slides and ties
+     * Slides come in runs of several consecutive notes, so the pattern contains
+     * the long gliding phrases of a real 303 line
+     * @param {number} [length=16] - Number of steps in the pattern
+     * @returns {Array} Array of slots with note, accent, glide, tie and gate properties
+     */
+    function createPattern(length = 16) {
         if (newNotes.value === true) {
             changeNotes();
             newNotes.value = false;
         }
+        if (generator.value === "markov" && model) {
+            return sampleMarkovPattern(length);
+        }
         const pattern = [];
 
-        // Generate 16-step pattern with varying note probabilities
-        for (let i = 0; i < 16; i++) {
+        // Steps left in the current run of sliding notes
+        let slideRun = 0;
+
+        // Generate the pattern with varying note probabilities
+        for (let i = 0; i < length; i++) {
+            const previous = pattern[i - 1];
+
+            if (slideRun > 0) {
+                // Keep sliding, the last note of the run lands without a slide
+                slideRun--;
+                pattern.push(slot(choose(noteSet.value, random), {
+                    accent: random() < accentRate.value * 2 / 3,
+                    glide: slideRun > 0
+                }));
+                continue;
+            }
+
+            if (previous && previous.note !== "-" && !previous.glide && random() < 0.15) {
+                // Tie the previous note over this step
+                pattern.push(slot(previous.note, { tie: true }));
+                continue;
+            }
+
             // Calculate note probability based on step position
-            const chance = density * (
+            const chance = density.value * (
                 i % 4 === 0 ? 0.6 :  // Strong beat
                 i % 3 === 0 ? 0.5 :  // Triplet feel
                 i % 2 === 0 ? 0.3 :  // Off-beat
                 0.1                   // Weak beat
             );
             
-            if (Math.random() < chance) {
-                pattern.push({
-                    note: choose(noteSet.value),
-                    accent: Math.random() < 0.3,  // 30% chance of accent
-                    glide: Math.random() < 0.1    // 10% chance of glide
-                });
+            if (random() < chance) {
+                // Chance of starting a run of 2 to 5 sliding notes
+                if (random() < glideRate.value * 1.5) {
+                    slideRun = 1 + rndInt(4, random);
+                }
+                pattern.push(slot(choose(noteSet.value, random), {
+                    accent: random() < accentRate.value,
+                    glide: slideRun > 0 || random() < glideRate.value  // Chance of a single slide
+                }));
             } else {
-                pattern.push({
-                    note: "-",
-                    accent: false,
-                    glide: false
-                });
+                pattern.push(slot("-"));
             }
         }
 
         return pattern;
     }
 
+    /**
+     * Mutates a few steps of a pattern, so it develops instead of being replaced
+     * A mutation changes a note's pitch, turns a rest into a note, toggles an accent or
+     * a glide, or shifts a rest by swapping it with its neighbour. Tied steps follow
+     * their note and are left alone.
+     * @param {Array} pattern - The pattern to mutate, left unchanged
+     * @param {number} [count=2] - Number of steps to mutate
+     * @returns {Array} The mutated copy of the pattern
+     */
+    function mutatePattern(pattern, count = 2) {
+        const mutated = pattern.map(slot => ({ ...slot }));
+        const steps = mutated.map((slot, i) => i).filter(i => !mutated[i].tie);
+        if (steps.length === 0) return mutated;
+
+        for (let n = 0; n < count; n++) {
+            const i = choose(steps, random);
+            const current = mutated[i];
+            const mutation = current.note === "-" ?
+                choose(["note", "rest"], random) :
+                choose(["note", "accent", "glide", "rest"], random);
+
+            if (mutation === "note") {
+                current.note = choose(noteSet.value, random);
+            } else if (mutation === "accent") {
+                current.accent = !current.accent;
+            } else if (mutation === "glide") {
+                current.glide = !current.glide;
+            } else {
+                // Shift the rest, or the rest next to the note, by one step
+                const j = (i + (random() < 0.5 ? mutated.length - 1 : 1)) % mutated.length;
+                if (!mutated[j].tie) {
+                    [mutated[i], mutated[j]] = [mutated[j], mutated[i]];
+                }
+            }
+        }
+
+        return mutated;
+    }
+
     return {
         createPattern,
+        mutatePattern,
         newNotes,
-        noteSet
+        noteSet,
+        key,
+        scale,
+        generator,
+        corpus,
+        setCorpus,
+        parameters
+    };
+}
+
+/**
+ * Creates a chord progression generator following a bassline generator
+ * Chords are stacked in thirds from the mode that best fits the bassline's note set,
+ * rooted on the note set's root
+ * @param {Object} noteGen - Bassline generator whose note set the chords follow
+ * @param {Function} [random] - Source of random numbers, the session's "notes" stream by default
+ * @returns {Object} Chord generator with progression creation method
+ */
+function ChordGen(noteGen, random = randomStream("notes")) {
+    /**
+     * Uses the bassline's scale when it has seven notes, otherwise picks the mode
+     * containing the most pitch classes of the current note set
+     * @returns {Object} Root as a MIDI note number and the mode's intervals
+     */
+    function currentScale() {
+        const numbers = noteGen.noteSet.value.map(textNoteToNumber);
+        const root = Math.min(...numbers);
+        const chosen = scales[noteGen.scale.value];
+        if (chosen && chosen.length === 7) {
+            return { root, mode: chosen };
+        }
+        const pitchClasses = new Set(numbers.map(n => (n - root) % 12));
+        const fit = mode => mode.filter(interval => pitchClasses.has(interval)).length;
+        const mode = modes.reduce((best, m) => fit(m) > fit(best) ? m : best);
+        return { root, mode };
+    }
+
+    /**
+     * Stacks a chord in the current scale
+     * @param {number} degree - Scale degree of the chord's root
+     * @param {number[]} stack - Scale steps above the root making up the chord
+     * @returns {number[]} The chord as MIDI note numbers, in the octave above middle C
+     */
+    function chord(degree, stack) {
+        const { root, mode } = currentScale();
+        const base = 48 + root % 12;
+        return stack.map(k => {
+            const i = degree + k;
+            return base + mode[i % 7] + 12 * Math.floor(i / 7);
+        });
+    }
+
+    /**
+     * Creates a new progression of four chords
+     * @returns {Array} Chords as arrays of MIDI note numbers, in the octave above middle C
+     */
+    function createProgression() {
+        // Triads, or seventh chords for half of the progressions
+        const stack = random() < 0.5 ? [0, 2, 4] : [0, 2, 4, 6];
+        return choose(progressionChoices, random).map(degree => chord(degree, stack));
+    }
+
+    /**
+     * Replaces a few chords of a progression, keeping the first so it stays rooted
+     * @param {Array} progression - The progression to mutate, left unchanged
+     * @param {number} [count=1] - Number of chords to replace
+     * @returns {Array} The mutated copy of the progression
+     */
+    function mutateProgression(progression, count = 1) {
+        const mutated = progression.slice();
+        const stack = mutated[0].length === 3 ? [0, 2, 4] : [0, 2, 4, 6];
+        for (let n = 0; n < count && mutated.length > 1; n++) {
+            mutated[1 + rndInt(mutated.length - 1, random)] = chord(rndInt(7, random), stack);
+        }
+        return mutated;
+    }
+
+    return {
+        createProgression,
+        mutateProgression,
+        newNotes: noteGen.newNotes
     };
 }
 
+// Drum styles fill one voice's steps, by style name. Positions within the bar are
+// step % 16, so the styles keep their shape in patterns of any length. Kick styles scale
+// the chance of their optional hits by a busyness factor, snare styles that of their ghost notes.
+const kickStyles = {
+    // Four-on-the-floor pattern with occasional variations
+    fourfloor: (i, random, busy) => {
+        if (i % 4 === 0) return 0.9;                       // Strong quarter notes
+        if (i % 2 === 0 && random() < 0.1 * busy) return 0.6;     // Occasional off-beats
+    },
+    // Electro-style pattern with syncopation
+    electro: (i, random, busy) => {
+        if (i % 16 === 0) return 1;                        // Strong downbeat
+        if (i % 2 === 0 && i % 16 % 8 !== 4 && random() < 0.5 * busy) return random() * 0.9;  // Syncopated beats
+        if (random() < 0.05 * busy) return random() * 0.9;        // Random fills
+    },
+    // Funky break with the second kick pushed onto the "and" of three
+    breakbeat: (i, random, busy) => {
+        const p = i % 16;
+        if (p === 0) return 1;
+        if (p === 10) return 0.8;
+        if ((p === 2 || p === 7 || p === 11) && random() < 0.4 * busy) return 0.5 + random() * 0.3;
+    },
+    // Techno quarters with soft rumbling 16ths leading into some beats
+    rolling: (i, random, busy) => {
+        if (i % 4 === 0) return 0.9;
+        if (i % 4 === 3 && random() < 0.3 * busy) return 0.3 + random() * 0.2;
+        if (i % 4 === 2 && random() < 0.1 * busy) return 0.3;
+    },
+    // Half-time feel, one strong kick per bar and a lazy pickup
+    halftime: (i, random, busy) => {
+        const p = i % 16;
+        if (p === 0) return 1;
+        if (p === 10 && random() < 0.5 * busy) return 0.7;
+        if ((p === 3 || p === 14) && random() < 0.2 * busy) return 0.5;
+    },
+    // Chopped break kicks, the downbeat always stays
+    jungle: (i, random, busy) => {
+        const p = i % 16;
+        if (p === 0) return 1;
+        if (p === 2 && random() < 0.7 * busy) return 0.7;
+        if (p === 10 && random() < 0.8 * busy) return 0.9;
+        if (p === 11 && random() < 0.4 * busy) return 0.6;
+    },
+    // Sparse kicks on a few of the quarters
+    minimal: (i, random, busy) => {
+        if (i % 16 === 0) return 0.9;
+        if (i % 4 === 0 && random() < 0.6 * busy) return 0.8;
+    },
+    none: () => undefined
+};
+
+const snareStyles = {
+    // Traditional backbeat pattern on beats 2 and 4
+    backbeat: i => i % 8 === 4 ? 1 : undefined,
+    // Syncopated skip pattern
+    skip: (i, random, ghosts) => {
+        if (i % 8 === 3 || i % 8 === 6) return 0.6 + random() * 0.4;  // Main skip beats
+        if (i % 2 === 0 && random() < 0.2 * ghosts) return 0.4 + random() * 0.2;  // Medium ghost notes
+        if (random() < 0.1 * ghosts) return 0.2 + random() * 0.2;               // Soft ghost notes
+    },
+    // Backbeat with ghost notes around the second snare
+    breakbeat: (i, random, ghosts) => {
+        const p = i % 16;
+        if (p === 4 || p === 12) return 1;
+        if ((p === 7 || p === 9 || p === 15) && random() < 0.4 * ghosts) return 0.3 + random() * 0.2;
+    },
+    // A single snare on beat 3
+    halftime: (i, random, ghosts) => {
+        if (i % 16 === 8) return 1;
+        if (random() < 0.15 * ghosts) return 0.2 + random() * 0.15;
+    },
+    // Busy break snares with offbeat hits and ghosts
+    jungle: (i, random, ghosts) => {
+        const p = i % 16;
+        if (p === 4 || p === 12) return 1;
+        if ((p === 7 || p === 9 || p === 14) && random() < 0.6) return 0.5 + random() * 0.3;
+        if (random() < 0.1 * ghosts) return 0.2 + random() * 0.15;
+    },
+    // Soft backbeat that sometimes drops out
+    minimal: (i, random) => {
+        if (i % 8 === 4 && random() < 0.6) return 0.5 + random() * 0.2;
+    },
+    none: () => undefined
+};
+
+// Hat styles fill both the open and the closed hat
+const hatStyles = {
+    // Offbeat-focused hi-hat pattern
+    offbeats: (oh, ch, length, random) => {
+        for (let i = 0; i < length; i++) {
+            if (i % 4 === 2) {
+                oh[i] = 0.4;  // Open hat on offbeats
+            } else if (random() < 0.3) {
+                if (random() < 0.5) {
+                    ch[i] = random() * 0.2;  // Random closed hats
+                } else {
+                    oh[i] = random() * 0.2;  // Random open hats
+                }
+            }
+        }
+    },
+    // Straight closed hi-hat pattern
+    closed: (oh, ch, length, random) => {
+        for (let i = 0; i < length; i++) {
+            if (i % 2 === 0) {
+                ch[i] = 0.4;  // Regular closed hats
+            } else if (random() < 0.5) {
+                ch[i] = random() * 0.3;  // Random fills
+            }
+        }
+    },
+    // Closed 16th ride, accented on the offbeats
+    rides: (oh, ch, length, random) => {
+        for (let i = 0; i < length; i++) {
+            ch[i] = i % 4 === 2 ? 0.45 : i % 2 === 0 ? 0.3 : 0.15 + random() * 0.1;
+        }
+    },
+    // Closed 8ths with short rolls of rising 16ths into some of the beats
+    ratchets: (oh, ch, length, random) => {
+        for (let i = 0; i < length; i += 2) {
+            ch[i] = 0.35;
+        }
+        for (let beat = 4; beat <= length; beat += 4) {
+            if (random() < 0.35) {
+                const run = 2 + rndInt(3, random);
+                for (let r = 0; r < run; r++) {
+                    ch[beat - run + r] = 0.1 + 0.3 * (r + 1) / run;
+                }
+            }
+        }
+    },
+    // Skipping shuffle, hits on the first and last 16th of each beat
+    shuffle: (oh, ch, length, random) => {
+        for (let i = 0; i < length; i++) {
+            if (i % 4 === 0) {
+                ch[i] = 0.35;
+            } else if (i % 4 === 3) {
+                ch[i] = 0.2 + random() * 0.1;
+            } else if (i % 4 === 2 && random() < 0.2) {
+                oh[i] = 0.25;
+            }
+        }
+    },
+    // Quiet open hats on the offbeats and the odd closed tick
+    minimal: (oh, ch, length, random) => {
+        for (let i = 0; i < length; i++) {
+            if (i % 4 === 2) {
+                oh[i] = 0.3;
+            } else if (random() < 0.1) {
+                ch[i] = 0.1;
+            }
+        }
+    },
+    none: () => {}
+};
+
+// Styles each genre picks its kick, hats and snare from, repeated styles are picked more often
+const drumGenres = {
+    classic: { kick: ["electro", "fourfloor"], hats: ["offbeats", "closed", "offbeats"], snare: ["backbeat", "skip", "backbeat"] },
+    techno: { kick: ["fourfloor", "rolling", "rolling"], hats: ["offbeats", "rides", "ratchets"], snare: ["backbeat", "none", "minimal"] },
+    electro: { kick: ["electro"], hats: ["closed", "rides", "ratchets"], snare: ["backbeat", "skip"] },
+    breakbeat: { kick: ["breakbeat"], hats: ["closed", "shuffle", "rides"], snare: ["breakbeat", "breakbeat", "skip"] },
+    jungle: { kick: ["jungle"], hats: ["shuffle", "rides", "ratchets"], snare: ["jungle"] },
+    halftime: { kick: ["halftime"], hats: ["closed", "ratchets", "minimal"], snare: ["halftime"] },
+    minimal: { kick: ["minimal", "fourfloor"], hats: ["minimal", "offbeats"], snare: ["minimal", "none"] },
+    any: {
+        kick: Object.keys(kickStyles).filter(k => k !== "none"),
+        hats: Object.keys(hatStyles).filter(k => k !== "none"),
+        snare: Object.keys(snareStyles).filter(k => k !== "none")
+    }
+};
+
+// Conditions the generator gives steps, in the style of Elektron's trig conditions:
+// a chance, "A:B" for loop A of every B loops, "fill" and "first" or their negations
+const conditionChoices = ["50%", "75%", "25%", "1:2", "2:2", "1:4", "fill", "!fill", "!first"];
+
+/**
+ * Reads the velocity of a drum step
+ * Steps hold either a plain velocity or an object with a velocity and optionally a condition,
+ * a ratchet count and a micro-timing offset
+ * @param {number|Object} entry - The step
+ * @returns {number|undefined} The step's velocity, undefined for an empty step
+ */
+function stepVelocity(entry) {
+    return entry && typeof entry === "object" ? entry.velocity : entry;
+}
+
+/**
+ * Adds settings to a drum step, turning a plain velocity into an object
+ * @param {number|Object} entry - The step
+ * @param {Object} settings - Condition, ratchet or offset to set
+ * @returns {Object} The new step, the original is left unchanged
+ */
+function withSettings(entry, settings) {
+    return Object.assign(typeof entry === "object" ? { ...entry } : { velocity: entry }, settings);
+}
+
+/**
+ * Checks whether a step condition lets the step play
+ * @param {string} [condition] - The condition, steps without one always play
+ * @param {number} loop - Loops of the pattern played before this one
+ * @param {boolean} fill - Whether a fill is playing on this step
+ * @param {Function} random - Source of random numbers for chance conditions
+ * @returns {boolean} Whether the step plays
+ */
+function conditionMet(condition, loop, fill, random) {
+    if (!condition) return true;
+    if (condition.startsWith("!")) return !conditionMet(condition.slice(1), loop, fill, random);
+    if (condition === "fill") return fill;
+    if (condition === "first") return loop === 0;
+    if (condition.endsWith("%")) return random() * 100 < parseFloat(condition);
+    const [a, b] = condition.split(":").map(Number);
+    return loop % b === a - 1;
+}
+
+/**
+ * Spreads hits as evenly as possible over a number of steps
+ * @param {number} hits - Number of hits
+ * @param {number} steps - Number of steps
+ * @param {number} [rotation=0] - Steps to rotate the rhythm to the right by
+ * @returns {boolean[]} Whether each step has a hit, the first step has one before rotating
+ */
+function euclideanRhythm(hits, steps, rotation = 0) {
+    const rhythm = [];
+    for (let i = 0; i < steps; i++) {
+        const j = ((i - rotation) % steps + steps) % steps;
+        rhythm.push((j * hits) % steps < hits);
+    }
+    return rhythm;
+}
+
 /**
  * Creates a TR-909 style drum pattern generator
- * Generates rhythmic patterns for kick, hi-hats, and snare
+ * Generates rhythmic patterns for kick, hi-hats, and snare, in styles picked from the selected genre
+ * @param {Function} [random] - Source of random numbers, the session's "drums" stream by default
  * @returns {Object} Drum pattern generator
  */
-function NineOhGen() {
+function NineOhGen(random = randomStream("drums")) {
+    // Genre constraining the styles of new patterns, one of the keys of drumGenres
+    const genre = genericParameter("Genre", "classic");
+
+    // "styles" for the genre's drum styles, "euclidean" for evenly spread hits on every voice
+    const mode = genericParameter("Drum Mode", "styles");
+
+    // Hits, steps and rotation of each voice's Euclidean rhythm
+    const euclidean = [["BD", 4, 0], ["OH", 4, 2], ["CH", 7, 1], ["SD", 2, 4]].map(([drum, hits, rotation]) => ({
+        hits: parameter(`${drum} Hits`, [0, 16], hits),
+        steps: parameter(`${drum} Steps`, [1, 16], 16),
+        rotation: parameter(`${drum} Rotation`, [0, 15], rotation)
+    }));
+
+    // Knobs shaping new patterns: how busy the kick and how many snare ghost notes, 0.5 is
+    // as the styles are written
+    const parameters = {
+        kickBusyness: parameter("Kick Busyness", [0, 1], 0.5),
+        ghostSnare: parameter("Ghost Snares", [0, 1], 0.5)
+    };
+    const { kickBusyness, ghostSnare } = parameters;
+
+    // Shares of hits getting a condition, a ratchet or a nudge, kept apart from the parameters
+    // as they only sound right near their low defaults
+    const variation = {
+        conditionAmount: parameter("Conditions", [0, 1], 0.15),
+        ratchetAmount: parameter("Ratchets", [0, 1], 0.1),
+        nudgeAmount: parameter("Micro-Timing", [0, 1], 0.1)
+    };
+    const { conditionAmount, ratchetAmount, nudgeAmount } = variation;
+
     /**
      * Creates a set of drum patterns
-     * @param {boolean} [full=false] - Whether to generate a full pattern set
+     * @param {boolean} [full=false] - Whether to generate a full pattern set, otherwise hats and snare may be left out
+     * @param {number} [length=16] - Number of steps in each pattern
      * @returns {Array} Array of patterns for kick, open hat, closed hat, and snare
      */
-    function createPatterns(full = false) {
-        // Initialize 16-step patterns for each drum
-        const kickPattern = new Array(16);
-        const ohPattern = new Array(16);
-        const chPattern = new Array(16);
-        const sdPattern = new Array(16);
-
-        // Select random pattern styles
-        const kickMode = choose(["electro", "fourfloor"]);
-        const hatMode = choose(["offbeats", "closed", full ? "offbeats" : "none"]);
-        const snareMode = choose(["backbeat", "skip", full ? "backbeat" : "none"]);
-
-        // Generate kick pattern
-        if (kickMode === "fourfloor") {
-            // Four-on-the-floor pattern with occasional variations
-            for (let i = 0; i < 16; i++) {
-                if (i % 4 === 0) {
-                    kickPattern[i] = 0.9;  // Strong quarter notes
-                } else if (i % 2 === 0 && Math.random() < 0.1) {
-                    kickPattern[i] = 0.6;  // Occasional off-beats
+    function createPatterns(full = false, length = 16) {
+        // Initialize patterns of the requested length for each drum
+        const kickPattern = new Array(length);
+        const ohPattern = new Array(length);
+        const chPattern = new Array(length);
+        const sdPattern = new Array(length);
+
+        const patterns = [kickPattern, ohPattern, chPattern, sdPattern];
+
+        if (mode.value === "euclidean") {
+            // Each voice's rhythm repeats over the pattern, the first hit of each repeat is the strongest
+            const levels = [0.9, 0.4, 0.35, 0.9];
+            euclidean.forEach((voice, v) => {
+                const steps = Math.round(voice.steps.value);
+                const rhythm = euclideanRhythm(Math.round(voice.hits.value), steps, Math.round(voice.rotation.value));
+                const first = rhythm.indexOf(true);
+                for (let i = 0; i < length; i++) {
+                    if (rhythm[i % steps]) {
+                        patterns[v][i] = i % steps === first ? levels[v] : levels[v] * (0.7 + 0.3 * random());
+                    }
                 }
+            });
+        } else {
+            // Select random pattern styles allowed by the genre
+            const styles = drumGenres[genre.value] || drumGenres.classic;
+            const kickMode = choose(styles.kick, random);
+            const hatMode = choose(full ? styles.hats : [...styles.hats, "none"], random);
+            const snareMode = choose(full ? styles.snare : [...styles.snare, "none"], random);
+
+            for (let i = 0; i < length; i++) {
+                kickPattern[i] = kickStyles[kickMode](i, random, 2 * kickBusyness.value);
             }
-        } else if (kickMode === "electro") {
-            // Electro-style pattern with syncopation
-            for (let i = 0; i < 16; i++) {
-                if (i === 0) {
-                    kickPattern[i] = 1;    // Strong downbeat
-                } else if (i % 2 === 0 && i % 8 !== 4 && Math.random() < 0.5) {
-                    kickPattern[i] = Math.random() * 0.9;  // Syncopated beats
-                } else if (Math.random() < 0.05) {
-                    kickPattern[i] = Math.random() * 0.9;  // Random fills
-                }
+            for (let i = 0; i < length; i++) {
+                sdPattern[i] = snareStyles[snareMode](i, random, 2 * ghostSnare.value);
             }
+            hatStyles[hatMode](ohPattern, chPattern, length, random);
         }
 
-        // Generate snare pattern
-        if (snareMode === "backbeat") {
-            // Traditional backbeat pattern
-            for (let i = 0; i < 16; i++) {
-                if (i % 8 === 4) {
-                    sdPattern[i] = 1;  // Beats 2 and 4
+        // Give some of the hits off the beat a condition, so the pattern varies from loop to loop
+        patterns.forEach(track => {
+            for (let i = 0; i < length; i++) {
+                if (track[i] && i % 4 !== 0 && random() < conditionAmount.value) {
+                    track[i] = withSettings(track[i], { condition: choose(conditionChoices, random) });
                 }
             }
-        } else if (snareMode === "skip") {
-            // Syncopated skip pattern
-            for (let i = 0; i < 16; i++) {
-                if (i % 8 === 3 || i % 8 === 6) {
-                    sdPattern[i] = 0.6 + Math.random() * 0.4;  // Main skip beats
-                } else if (i % 2 === 0 && Math.random() < 0.2) {
-                    sdPattern[i] = 0.4 + Math.random() * 0.2;  // Medium ghost notes
-                } else if (Math.random() < 0.1) {
-                    sdPattern[i] = 0.2 + Math.random() * 0.2;  // Soft ghost notes
+        });
+
+        // Roll some of the hats, and the odd snare, and push or drag some of the hits off the beat
+        patterns.forEach((track, drum) => {
+            const ratchetChance = drum === 1 || drum === 2 ? ratchetAmount.value : drum === 3 ? ratchetAmount.value / 4 : 0;
+            for (let i = 0; i < length; i++) {
+                if (track[i] && random() < ratchetChance) {
+                    track[i] = withSettings(track[i], { ratchet: 2 + rndInt(3, random) });
+                }
+                if (track[i] && i % 4 !== 0 && random() < nudgeAmount.value) {
+                    track[i] = withSettings(track[i], { offset: (random() < 0.5 ? -1 : 1) * (0.05 + 0.15 * random()) });
                 }
             }
+        });
+
+        return patterns;
+    }
+
+    /**
+     * Evaluates a step for playing, chance conditions are decided anew every time
+     * A ratchet splits the step into evenly spaced repeats rising up to the step's velocity,
+     * an offset moves all of them by a fraction of the step
+     * @param {number|Object} entry - The step, a velocity or an object with a velocity and settings
+     * @param {number} loop - Loops of the pattern played before this one
+     * @param {boolean} fill - Whether a fill is playing on this step
+     * @returns {Array} Hits the step plays, each with a velocity and an offset and length in steps,
+     *                  none when the step is empty or its condition doesn't hold. Only the repeats
+     *                  of a ratchet are limited in length, single hits ring out as long as they like.
+     */
+    function playStep(entry, loop, fill) {
+        if (!entry) return [];
+        const { condition, ratchet = 1, offset = 0 } = typeof entry === "object" ? entry : {};
+        if (!conditionMet(condition, loop, fill, random)) return [];
+        const velocity = stepVelocity(entry);
+        return Array.from({ length: ratchet }, (_, r) => ({
+            velocity: velocity * (0.5 + 0.5 * (r + 1) / ratchet),
+            offset: offset + r / ratchet,
+            length: ratchet > 1 ? 1 / ratchet : Infinity
+        }));
+    }
+
+    /**
+     * Creates a one-bar or half-bar fill to play in place of the main pattern
+     * The fill builds up towards the end of the bar: a snare roll, a tom-like run on the
+     * kick or both, starting with an open-hat crash and ending on one for the lift
+     * @param {number} [density=0.5] - How busy the fill is, from 0 to 1
+     * @param {string} [kind="any"] - "roll", "run", "mixed" or "any" for one of them at random
+     * @returns {Object} First step of the bar the fill replaces, and one bar of patterns for
+     *                   kick, open hat, closed hat and snare
+     */
+    function createFill(density = 0.5, kind = "any") {
+        const patterns = [new Array(16), new Array(16), new Array(16), new Array(16)];
+        const [kick, oh, , sd] = patterns;
+        const start = random() < 0.5 ? 8 : 0;
+        if (kind === "any") {
+            kind = choose(["roll", "run", "mixed"], random);
         }
 
-        // Generate hi-hat pattern
-        if (hatMode === "offbeats") {
-            // Offbeat-focused hi-hat pattern
-            for (let i = 0; i < 16; i++) {
-                if (i % 4 === 2) {
-                    ohPattern[i] = 0.4;  // Open hat on offbeats
-                } else if (Math.random() < 0.3) {
-                    if (Math.random() < 0.5) {
-                        chPattern[i] = Math.random() * 0.2;  // Random closed hats
-                    } else {
-                        ohPattern[i] = Math.random() * 0.2;  // Random open hats
-                    }
-                }
+        for (let i = start; i < 16; i++) {
+            // How far into the fill the step is, the fill gets busier and louder towards its end
+            const progress = (i - start) / (16 - start);
+            const busy = density * (0.5 + progress);
+            const velocity = 0.3 + 0.7 * progress;
+
+            if (i === 0) {
+                kick[i] = 1;  // The bar still starts on the one
             }
-        } else if (hatMode === "closed") {
-            // Straight closed hi-hat pattern
-            for (let i = 0; i < 16; i++) {
+            if (kind === "roll") {
+                if (i % 2 === 0 || random() < busy) sd[i] = velocity;
+            } else if (kind === "run") {
+                if (i % 4 === 0 || random() < busy) kick[i] = 0.4 + 0.5 * progress;
+                if (i % 4 === 2 && random() < busy) sd[i] = velocity;
+            } else if (random() < busy) {
+                // Alternate snare and kick hits
                 if (i % 2 === 0) {
-                    chPattern[i] = 0.4;  // Regular closed hats
-                } else if (Math.random() < 0.5) {
-                    chPattern[i] = Math.random() * 0.3;  // Random fills
+                    sd[i] = velocity;
+                } else {
+                    kick[i] = 0.4 + 0.5 * progress;
+                }
+            }
+        }
+
+        // Open-hat crashes into and out of the fill
+        if (random() < 0.5 + density / 2) oh[start] = 0.5;
+        if (random() < density) oh[15] = 0.6;
+
+        return { start, patterns };
+    }
+
+    /**
+     * Mutates a few steps of a pattern set, so it develops instead of being replaced
+     * A mutation adds a ghost note, removes a hit, changes a hit's velocity, adds or removes
+     * a hit's condition or moves a hit to a free neighbouring step. Kicks on the beat are
+     * never removed or moved.
+     * @param {Array} patterns - Patterns for kick, open hat, closed hat and snare, left unchanged
+     * @param {number} [count=2] - Number of steps to mutate
+     * @returns {Array} The mutated copy of the patterns
+     */
+    function mutatePatterns(patterns, count = 2) {
+        const mutated = patterns.map(p => p.slice());
+
+        for (let n = 0; n < count; n++) {
+            const drum = rndInt(mutated.length, random);
+            const track = mutated[drum];
+            const i = rndInt(track.length, random);
+            if (drum === 0 && i % 4 === 0 && track[i]) continue;
+
+            if (!track[i]) {
+                track[i] = 0.2 + random() * 0.4;  // New ghost note
+                continue;
+            }
+            const mutation = choose(["remove", "velocity", "move", "condition"], random);
+            const velocity = stepVelocity(track[i]);
+            if (mutation === "remove") {
+                track[i] = undefined;
+            } else if (mutation === "velocity") {
+                const changed = Math.min(1, velocity * (0.7 + random() * 0.6));
+                track[i] = typeof track[i] === "object" ? withSettings(track[i], { velocity: changed }) : changed;
+            } else if (mutation === "condition") {
+                // Give the step a condition, or take its condition away
+                track[i] = withSettings(track[i], {
+                    condition: typeof track[i] === "object" && track[i].condition ? undefined : choose(conditionChoices, random)
+                });
+            } else {
+                const j = (i + (random() < 0.5 ? track.length - 1 : 1)) % track.length;
+                if (!track[j]) {
+                    track[j] = track[i];
+                    track[i] = undefined;
                 }
             }
         }
 
-        return [kickPattern, ohPattern, chPattern, sdPattern];
+        return mutated;
     }
 
     return {
-        createPatterns
+        createPatterns,
+        mutatePatterns,
+        createFill,
+        playStep,
+        genre,
+        mode,
+        euclidean,
+        parameters,
+        variation
     };
 }
 
 export {
     ThreeOhGen,
+    ChordGen,
     NineOhGen
 };
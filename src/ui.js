@@ -1,3 +1,5 @@
+import { genericParameter } from "./interface.js";
+
 const defaultColors = {
     bg: "#222266",
     note: "#88aacc",
@@ -254,13 +256,496 @@ function EmptyGridVisualizer(options = {}) {
     return canvas;
 }
 
-function UI(analyser) {
+// Control Widgets
+function ControlGroup(label, children) {
+    const group = document.createElement("div");
+    group.classList.add("control-group");
+
+    const labelElement = document.createElement("div");
+    labelElement.classList.add("label");
+    labelElement.textContent = label;
+
+    const inner = document.createElement("div");
+    inner.classList.add("group");
+    inner.append(...children);
+
+    group.append(labelElement, inner);
+    return group;
+}
+
+function SelectControl(param, options) {
+    const select = document.createElement("select");
+    select.title = param.name;
+
+    // options is a list of [value, text] pairs, or a parameter holding one
+    let current = [];
+
+    function render(newOptions) {
+        current = newOptions;
+        select.replaceChildren(...current.map(([value, text]) => {
+            const option = document.createElement("option");
+            option.value = String(value);
+            option.textContent = text;
+            return option;
+        }));
+        select.selectedIndex = current.findIndex(([value]) => value === param.value);
+    }
+
+    if (Array.isArray(options)) {
+        render(options);
+    } else {
+        options.subscribe(render);
+    }
+
+    select.addEventListener("change", () => {
+        param.value = current[select.selectedIndex][0];
+    });
+    param.subscribe(v => {
+        select.selectedIndex = current.findIndex(([value]) => value === v);
+    });
+
+    return select;
+}
+
+function DialControl(param) {
+    const [min, max] = param.bounds;
+
+    const dial = document.createElement("label");
+    dial.classList.add("dial");
+
+    const input = document.createElement("input");
+    input.type = "range";
+    input.min = String(min);
+    input.max = String(max);
+    input.step = String((max - min) / 100);
+
+    input.addEventListener("input", () => {
+        param.value = parseFloat(input.value);
+    });
+    param.subscribe(v => {
+        input.value = String(v);
+    });
+
+    dial.append(param.name, input);
+    return dial;
+}
+
+function Dials(params) {
+    const dials = document.createElement("div");
+    dials.classList.add("dials");
+    dials.append(...params.map(DialControl));
+    return dials;
+}
+
+function ButtonControl(text, onClick) {
+    const button = document.createElement("button");
+    button.textContent = text;
+    button.addEventListener("click", onClick);
+    return button;
+}
+
+function TextControl(param) {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.title = param.name;
+
+    input.addEventListener("change", () => {
+        param.value = input.value.trim();
+    });
+    param.subscribe(v => {
+        input.value = v;
+    });
+
+    return input;
+}
+
+function ToggleControl(param, text) {
+    const button = ButtonControl(text, () => param.value = !param.value);
+    button.title = param.name;
+    param.subscribe(v => button.classList.toggle("on", v));
+    return button;
+}
+
+function PeakMeter(readPeak, colors = defaultColors) {
+    const canvas = document.createElement("canvas");
+    canvas.classList.add("peak-meter");
+    canvas.width = 8;
+    canvas.height = 60;
+
+    let level = 0;
+    let wasConnected = false;
+
+    function draw() {
+        // Stop animating once the meter has been removed from the page
+        if (wasConnected && !canvas.isConnected) return;
+        wasConnected = canvas.isConnected;
+
+        // Instant attack, slow fall back
+        level = Math.max(readPeak(), level * 0.9);
+
+        const ctx = canvas.getContext("2d");
+        const h = canvas.height * Math.min(level, 1);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = level >= 1 ? colors.glide : colors.note;
+        ctx.fillRect(0, canvas.height - h, canvas.width, h);
+
+        requestAnimationFrame(draw);
+    }
+    draw();
+
+    return canvas;
+}
+
+function ChannelStripControls(channel) {
+    const strip = document.createElement("div");
+    strip.classList.add("channel-strip");
+
+    const name = document.createElement("div");
+    name.classList.add("channel-name");
+    name.textContent = channel.name;
+
+    const solo = ToggleControl(channel.solo, "S");
+    solo.classList.add("solo");
+    const buttons = document.createElement("div");
+    buttons.classList.add("mute-solo");
+    buttons.append(ToggleControl(channel.mute, "M"), solo);
+
+    strip.append(name, Dials(Object.values(channel.parameters)), buttons, PeakMeter(channel.peak));
+    return strip;
+}
+
+function MixerControls(mixer) {
+    const strips = document.createElement("div");
+    strips.classList.add("mixer");
+    mixer.channels.subscribe(channels => strips.replaceChildren(...channels.map(ChannelStripControls)));
+    return ControlGroup("Mixer", [strips]);
+}
+
+function ExportControls(exporter) {
+    const button = ButtonControl("⤓ Export WAV", () => exporter.render());
+    exporter.rendering.subscribe(rendering => {
+        button.disabled = rendering;
+        button.textContent = rendering ? "Rendering…" : "⤓ Export WAV";
+    });
+
+    return ControlGroup("Export", [
+        SelectControl(exporter.bars, [4, 8, 16, 32, 64].map(n => [n, `${n} bars`])),
+        SelectControl(exporter.bitDepth, [[16, "16-bit"], [24, "24-bit"]]),
+        button
+    ]);
+}
+
+function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = Math.floor(seconds % 60);
+    return `${minutes}:${String(rest).padStart(2, "0")}`;
+}
+
+function RecordControls(recorder) {
+    const formatSelect = SelectControl(recorder.format, [["wav", "WAV"], ["compressed", "Compressed"]]);
+    const button = ButtonControl("● Record", () => recorder.toggle());
+    button.classList.add("record-button");
+
+    function refresh() {
+        formatSelect.disabled = recorder.recording.value;
+        button.classList.toggle("on", recorder.recording.value);
+        button.textContent = recorder.recording.value ?
+            `■ Stop ${formatTime(recorder.elapsed.value)}` :
+            "● Record";
+    }
+    recorder.recording.subscribe(refresh);
+    recorder.elapsed.subscribe(refresh);
+
+    return ControlGroup("Record", [formatSelect, button]);
+}
+
+// Pattern lengths to choose from, in steps
+const patternLengths = [7, 12, 15, 16, 24, 32].map(n => [n, `${n} steps`]);
+
+// Number of steps or chords each mutation changes
+const mutationCounts = [1, 2, 3, 4, 6, 8].map(n => [n, `Mutate ${n}`]);
+
+function SynthControls(unit, label, extra = []) {
+    return ControlGroup(label, [
+        SelectControl(unit.length, patternLengths),
+        SelectControl(unit.mutations, mutationCounts),
+        SelectControl(unit.driveCurve, [
+            ["soft", "Soft Clip"],
+            ["hard", "Hard Clip"],
+            ["tube", "Tube"],
+            ["fold", "Fold"]
+        ]),
+        Dials(Object.values(unit.parameters)),
+        ...extra
+    ]);
+}
+
+function PadControls(pad, label, extra = []) {
+    return ControlGroup(label, [
+        SelectControl(pad.mode, [["pad", "Pad"], ["stab", "Stabs"]]),
+        SelectControl(pad.chordLength, [1, 2, 4].map(n => [n, `${n} bar${n > 1 ? "s" : ""}`])),
+        SelectControl(pad.mutations, mutationCounts.slice(0, 3)),
+        Dials(Object.values(pad.parameters)),
+        ...extra
+    ]);
+}
+
+function NoteControls(gen, history) {
+    const keys = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+
+    // Drop a text file of acid lines to train the Markov generator on it
+    const corpusSlot = DropSlot("Corpus", async file => {
+        try {
+            gen.setCorpus(file.name, await file.text());
+        } catch (e) {
+            console.error('Could not load corpus', e);
+        }
+    });
+    corpusSlot.element.title = "Drop a text file of acid lines to train the Markov generator on it";
+    gen.corpus.subscribe(name => corpusSlot.show(name || "none"));
+
+    return ControlGroup("Notes", [
+        SelectControl(gen.key, [["random", "Random Key"], ...keys.map(k => [k, k])]),
+        SelectControl(gen.scale, [
+            ["classic", "Classic Acid"],
+            ["minor", "Minor"],
+            ["phrygian", "Phrygian"],
+            ["dorian", "Dorian"],
+            ["harmonicMinor", "Harmonic Minor"],
+            ["chromatic", "Chromatic Acid"]
+        ]),
+        SelectControl(gen.generator, [["random", "Random"], ["markov", "Markov"]]),
+        corpusSlot.element,
+        ButtonControl("New Notes", () => gen.newNotes.value = true),
+        HistoryControls(history),
+        Dials(Object.values(gen.parameters))
+    ]);
+}
+
+function AutoPilotControls(autoPilot) {
+    return ControlGroup("Autopilot", autoPilot.switches.map(param => {
+        const button = ToggleControl(param, param.name);
+        button.classList.add("autopilot-button");
+        return button;
+    }));
+}
+
+function ArrangementControls(arranger) {
+    const toggle = ToggleControl(arranger.enabled, "Song Mode");
+    toggle.classList.add("autopilot-button");
+
+    const section = document.createElement("small");
+    section.classList.add("section");
+    arranger.section.subscribe(name => section.textContent = name || "-");
+
+    // Every section's length in bars, or random each time it comes around
+    const lengths = Object.entries(arranger.lengths).map(([name, length]) => SelectControl(length, [
+        [0, `${name} random`],
+        ...[4, 8, 16, 32].map(n => [n, `${name} ${n} bars`])
+    ]));
+
+    return ControlGroup("Song", [toggle, section, ...lengths]);
+}
+
+function SessionControls(session) {
+    // Enter a seed and replay it to hear the same session again from the start
+    const seed = TextControl(session.seed);
+    seed.classList.add("seed");
+    seed.addEventListener("keydown", e => {
+        if (e.key === "Enter") {
+            session.seed.value = seed.value.trim();
+            session.replay();
+        }
+    });
+
+    return ControlGroup("Session", [
+        seed,
+        ButtonControl("⟲ Replay Seed", () => session.replay()),
+        ButtonControl("⚄ New Seed", () => session.newSession())
+    ]);
+}
+
+function ReverbControls(reverb) {
+    return ControlGroup("Reverb", [
+        SelectControl(reverb.type, [["room", "Room"], ["plate", "Plate"], ["hall", "Hall"]]),
+        Dials([reverb.size, reverb.preDelay, reverb.damping, reverb.wet])
+    ]);
+}
+
+function SidechainControls(sidechain) {
+    return ControlGroup("Sidechain", [
+        Dials([sidechain.depth, sidechain.attack, sidechain.release])
+    ]);
+}
+
+function DropSlot(label, onFile) {
+    const slot = document.createElement("div");
+    slot.classList.add("drop-slot");
+
+    const name = document.createElement("small");
+    slot.append(label, name);
+
+    slot.addEventListener("dragover", e => {
+        e.preventDefault();
+        slot.classList.add("over");
+    });
+    slot.addEventListener("dragleave", () => slot.classList.remove("over"));
+    slot.addEventListener("drop", e => {
+        e.preventDefault();
+        slot.classList.remove("over");
+        const file = e.dataTransfer.files[0];
+        if (file) onFile(file);
+    });
+
+    return {
+        element: slot,
+        show: text => name.textContent = text
+    };
+}
+
+function DrumControls(drums, label, extra = []) {
+    const kitOptions = genericParameter("Kit Options", []);
+    drums.kits.subscribe(kits => kitOptions.value = kits.map(k => [k.id, k.name]));
+
+    // One drop target per drum voice, showing the sample the selected kit plays
+    const slots = ["BD", "OH", "CH", "SD"].map((label, i) => DropSlot(label, file => {
+        drums.replaceSample(i, file).catch(e => console.error('Could not load sample', e));
+    }));
+    drums.kit.subscribe(id => {
+        const kit = drums.kits.value.find(k => k.id === id);
+        slots.forEach((slot, i) => {
+            const sample = kit && kit.slots ? kit.slots[i] : null;
+            slot.show(sample ? sample.name || sample.file.split("/").pop() : "synth");
+        });
+    });
+
+    // Hits, steps and rotation of each voice, shown while the drums play Euclidean rhythms
+    const euclideanDials = Dials(drums.euclidean.flatMap(voice => Object.values(voice)));
+    drums.mode.subscribe(mode => euclideanDials.style.display = mode === "euclidean" ? "" : "none");
+
+    const slotRow = document.createElement("div");
+    slotRow.classList.add("drop-slots");
+    slotRow.title = "Drop an audio file on a drum to load it into a custom kit";
+    slotRow.append(...slots.map(slot => slot.element));
+
+    return ControlGroup(label, [
+        SelectControl(drums.kit, kitOptions),
+        SelectControl(drums.genre, [
+            ["classic", "Classic"],
+            ["techno", "Techno"],
+            ["electro", "Electro"],
+            ["breakbeat", "Breakbeat"],
+            ["jungle", "Jungle"],
+            ["halftime", "Half-Time"],
+            ["minimal", "Minimal"],
+            ["any", "Any Style"]
+        ]),
+        SelectControl(drums.mode, [["styles", "Genre Styles"], ["euclidean", "Euclidean"]]),
+        SelectControl(drums.length, patternLengths),
+        SelectControl(drums.mutations, mutationCounts),
+        SelectControl(drums.fillEvery, [[0, "No Fills"], ...[4, 8, 16, 32].map(n => [n, `Fill Every ${n}`])]),
+        ButtonControl("Fill", () => drums.fill.value = true),
+        slotRow,
+        Dials([drums.fillDensity, ...Object.values(drums.generation), ...Object.values(drums.variation), ...drums.synthParameters.flatMap(voice => Object.values(voice))]),
+        euclideanDials,
+        ...extra
+    ]);
+}
+
+// Controls of each instrument type, by type id
+const unitControls = {
+    acid: SynthControls,
+    sub: SynthControls,
+    drums: DrumControls,
+    pad: PadControls
+};
+
+function HistoryControls(history) {
+    const row = document.createElement("div");
+    row.classList.add("history");
+
+    const position = document.createElement("small");
+    const showPosition = () => position.textContent = `${history.position.value + 1}/${history.count.value}`;
+    history.position.subscribe(showPosition);
+    history.count.subscribe(showPosition);
+
+    // Picking a favourite plays it, the select then goes back to its title
+    const favourite = genericParameter("Favourite", -1);
+    const favouriteOptions = genericParameter("Favourite Options", []);
+    history.favourites.subscribe(favourites => {
+        favouriteOptions.value = [[-1, "★ Favourites"], ...favourites.map((f, i) => [i, f.name])];
+    });
+    favourite.subscribe(i => {
+        if (i >= 0) {
+            history.recallFavourite(i);
+            favourite.value = -1;
+        }
+    });
+
+    row.append(
+        ButtonControl("◀", history.back),
+        position,
+        ButtonControl("▶", history.forward),
+        ButtonControl("★", history.star),
+        ToggleControl(history.locked, "🔒 Lock"),
+        SelectControl(favourite, favouriteOptions)
+    );
+    row.title = "Step through earlier patterns, star the current one or lock it against AutoPilot";
+    return row;
+}
+
+function InstrumentControls(instruments) {
+    const groups = document.createElement("div");
+    groups.classList.add("instruments");
+
+    // Controls are kept per unit, so existing ones survive units being added or removed
+    const controls = new Map();
+    instruments.units.subscribe(units => {
+        units.forEach(unit => {
+            if (!controls.has(unit)) {
+                const remove = ButtonControl("✕ Remove", () => instruments.remove(unit));
+                controls.set(unit, unitControls[unit.type](unit, unit.name, [HistoryControls(unit.history), remove]));
+            }
+        });
+        controls.forEach((_, unit) => {
+            if (!units.includes(unit)) controls.delete(unit);
+        });
+        groups.replaceChildren(...units.map(unit => controls.get(unit)));
+    });
+
+    const type = genericParameter("Instrument Type", instruments.types[0][0]);
+    const add = ButtonControl("+ Add", () => {
+        instruments.add(type.value).catch(e => console.error('Could not add instrument', e));
+    });
+
+    return [
+        groups,
+        ControlGroup("Instruments", [SelectControl(type, instruments.types), add])
+    ];
+}
+
+function UI(analyser, state) {
     const ui = document.createElement("div");
     ui.id = "ui";
     
     const visualizer = GridParticleVisualizer(analyser, defaultColors);
+
+    const controls = document.createElement("div");
+    controls.classList.add("controls");
+    controls.append(
+        SessionControls(state.session),
+        AutoPilotControls(state.autoPilot),
+        ArrangementControls(state.arranger),
+        NoteControls(state.gen, state.noteHistory),
+        ...InstrumentControls(state.instruments),
+        MixerControls(state.mixer),
+        ReverbControls(state.reverb),
+        SidechainControls(state.sidechain),
+        ExportControls(state.exporter),
+        RecordControls(state.recorder)
+    );
     
-    ui.append(visualizer);
+    ui.append(visualizer, controls);
 
     return ui;
 }
@@ -0,0 +1,83 @@
+/**
+ * Writes an ASCII string into a DataView
+ * @param {DataView} view - The view to write into
+ * @param {number} offset - Byte offset to start writing at
+ * @param {string} text - The string to write
+ */
+function writeString(view, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        view.setUint8(offset + i, text.charCodeAt(i));
+    }
+}
+
+/**
+ * Encodes PCM sample data as a WAV file
+ * @param {Float32Array[]} channels - Sample data for each channel, all of the same length
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} [bitDepth=16] - Bits per sample, 16 or 24
+ * @returns {Blob} The WAV file
+ */
+function encodeWav(channels, sampleRate, bitDepth = 16) {
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = channels.length * bytesPerSample;
+    const length = channels.length > 0 ? channels[0].length : 0;
+    const dataSize = length * blockAlign;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+    // RIFF header
+    writeString(view, 0, "RIFF");
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(view, 8, "WAVE");
+
+    // Format chunk: uncompressed PCM
+    writeString(view, 12, "fmt ");
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, channels.length, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+
+    // Data chunk with interleaved samples
+    writeString(view, 36, "data");
+    view.setUint32(40, dataSize, true);
+
+    const max = Math.pow(2, bitDepth - 1);
+    let offset = 44;
+    for (let i = 0; i < length; i++) {
+        for (let c = 0; c < channels.length; c++) {
+            const sample = Math.max(-1, Math.min(1, channels[c][i]));
+            const value = Math.round(sample < 0 ? sample * max : sample * (max - 1));
+            if (bitDepth === 24) {
+                view.setUint8(offset, value & 0xFF);
+                view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                view.setUint8(offset + 2, (value >> 16) & 0xFF);
+            } else {
+                view.setInt16(offset, value, true);
+            }
+            offset += bytesPerSample;
+        }
+    }
+
+    return new Blob([view], { type: "audio/wav" });
+}
+
+/**
+ * Encodes an AudioBuffer as a WAV file
+ * @param {AudioBuffer} buffer - The audio to encode
+ * @param {number} [bitDepth=16] - Bits per sample, 16 or 24
+ * @returns {Blob} The WAV file
+ */
+function audioBufferToWav(buffer, bitDepth = 16) {
+    const channels = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        channels.push(buffer.getChannelData(c));
+    }
+    return encodeWav(channels, buffer.sampleRate, bitDepth);
+}
+
+export {
+    encodeWav,
+    audioBufferToWav
+};
@@ -0,0 +1,69 @@
+/**
+ * AudioWorklet processor implementing a TB-303 flavored 4-pole ladder lowpass
+ * Four one-pole stages in series, with the output fed back against a saturated input
+ * for resonance. The accent input charges a slow follower, like the capacitor in the
+ * 303's accent circuit, that pushes the cutoff up, so runs of accented notes sweep
+ * progressively higher while a lone accent only gives a short bump.
+ */
+class LadderProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            // Base cutoff in Hz, same range as BiquadFilterNode.frequency is used with
+            { name: 'cutoff', defaultValue: 300, minValue: 10, maxValue: 20000 },
+            // Resonance in the Q units of the biquad it replaces, 1 to 30 in use
+            { name: 'resonance', defaultValue: 20, minValue: 0, maxValue: 40 },
+            // Cutoff offset in cents, driven by the filter envelope
+            { name: 'detune', defaultValue: 0, minValue: -12000, maxValue: 12000 },
+            // 1 while accented notes play, 0 otherwise
+            { name: 'accent', defaultValue: 0, minValue: 0, maxValue: 1 }
+        ];
+    }
+
+    constructor() {
+        super();
+        this.stages = [0, 0, 0, 0];
+        this.accentCharge = 0;
+        // Accent follower charges in about 10ms and discharges in about 200ms
+        this.charge = 1 - Math.exp(-1 / (0.01 * sampleRate));
+        this.discharge = 1 - Math.exp(-1 / (0.2 * sampleRate));
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0][0];
+        const output = outputs[0][0];
+        if (!output) return true;
+
+        // Parameters come as one value per block or one per sample
+        const value = (param, i) => param.length > 1 ? param[i] : param[0];
+        const maxCutoff = sampleRate * 0.45;
+        const s = this.stages;
+
+        for (let i = 0; i < output.length; i++) {
+            const x = input ? input[i] : 0;
+
+            const accent = value(parameters.accent, i);
+            this.accentCharge += (accent - this.accentCharge) * (accent > this.accentCharge ? this.charge : this.discharge);
+
+            // Map Q to ladder feedback, 4 being self-oscillation
+            const resonance = value(parameters.resonance, i);
+            const k = 3.8 * Math.min(Math.max((resonance - 1) / 29, 0), 1);
+
+            const cutoff = value(parameters.cutoff, i) *
+                Math.pow(2, value(parameters.detune, i) / 1200) *
+                (1 + 2 * this.accentCharge);
+            const g = 1 - Math.exp(-2 * Math.PI * Math.min(cutoff, maxCutoff) / sampleRate);
+
+            const u = Math.tanh(x - k * s[3]);
+            s[0] += g * (u - s[0]);
+            s[1] += g * (s[0] - s[1]);
+            s[2] += g * (s[1] - s[2]);
+            s[3] += g * (s[2] - s[3]);
+
+            // Make up for the passband loss caused by the feedback
+            output[i] = s[3] * (1 + 0.5 * k);
+        }
+        return true;
+    }
+}
+
+registerProcessor('ladder-processor', LadderProcessor);
@@ -0,0 +1,59 @@
+// Frames gathered before they are posted, so the main thread gets a few messages a second
+// rather than one per render quantum
+const batchFrames = 4096;
+
+/**
+ * AudioWorklet processor that copies its input to the main thread while recording
+ * Only runs while the audio context runs, so suspending the context pauses the
+ * capture without leaving a gap in the recorded samples.
+ */
+class RecorderProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.recording = false;
+        // Blocks captured since the last post, one array per channel each
+        this.blocks = [];
+        this.frames = 0;
+        // The main thread toggles recording with a boolean message
+        this.port.onmessage = e => {
+            this.recording = e.data === true;
+            // Stopping posts what is left, marked as the end of the recording
+            if (!this.recording) {
+                this.post(true);
+            }
+        };
+    }
+
+    /**
+     * Posts the captured blocks as one buffer per channel
+     * @param {boolean} flushed - Whether this is the last post of the recording
+     */
+    post(flushed) {
+        const channels = (this.blocks[0] || []).map((_, c) => {
+            const samples = new Float32Array(this.frames);
+            let offset = 0;
+            for (const block of this.blocks) {
+                samples.set(block[c], offset);
+                offset += block[c].length;
+            }
+            return samples;
+        });
+        this.port.postMessage({ channels, flushed }, channels.map(channel => channel.buffer));
+        this.blocks = [];
+        this.frames = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (this.recording && input.length > 0) {
+            this.blocks.push(input.map(channel => channel.slice()));
+            this.frames += input[0].length;
+            if (this.frames >= batchFrames) {
+                this.post(false);
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('recorder-processor', RecorderProcessor);